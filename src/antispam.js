@@ -0,0 +1,82 @@
+/**
+ * Abuse protection for the public application form
+ * - Rate limits: fixed windows counted in memory (per process), APPLY_RATE_WINDOW_MINUTES (15)
+ *     APPLY_RATE_LIMIT_PER_IP (10)           POST /api/apply submissions that pass validation; once spent,
+ *                                            further ones are refused before any body is read
+ *     APPLY_RATE_LIMIT_UPLOADS_PER_IP (20)   POST /api/uploads (chunk PATCHes are not counted)
+ *     APPLY_RATE_LIMIT_PER_EMAIL (3)         valid submissions per applicant email
+ *   0 turns a limit off.
+ * - Bot signals on the raw form body:
+ *     honeypot: APPLY_HONEYPOT_FIELD (default "website") is hidden from people, so any value means a bot
+ *     fill time: formStartedAt (epoch ms, set by the form on load) less than APPLY_MIN_FILL_SECONDS (3)
+ *       before submit. Forms that do not send it are not checked.
+ * - CORS: CORS_ORIGINS (comma list, "https://*.myshopify.com" wildcards allowed); unset = any origin.
+ *   API writes whose Origin is off the list are refused outright, not just left without CORS headers.
+ */
+
+const WINDOW_MS = Number(process.env.APPLY_RATE_WINDOW_MINUTES || 15) * 60 * 1000;
+const HONEYPOT_FIELD = process.env.APPLY_HONEYPOT_FIELD || 'website';
+const MIN_FILL_MS = Number(process.env.APPLY_MIN_FILL_SECONDS ?? 3) * 1000;
+
+/**
+ * Fixed-window counter; hit(key) -> { ok, remaining, retryAfter (seconds) }.
+ * peek(key) answers the same without counting.
+ */
+function createRateLimiter({ max, windowMs = WINDOW_MS }) {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  function check(key, count) {
+    if (!max || !key) return { ok: true, remaining: Infinity, retryAfter: 0 };
+    const now = Date.now();
+    let w = windows.get(key);
+    if (!w || w.resetAt <= now) {
+      w = { count: 0, resetAt: now + windowMs };
+      if (count) windows.set(key, w);
+    }
+    if (count) w.count++;
+    const used = count ? w.count : w.count + 1;
+    return { ok: used <= max, remaining: Math.max(0, max - used), retryAfter: Math.ceil((w.resetAt - now) / 1000) };
+  }
+  const hit = key => check(key, true);
+  const peek = key => check(key, false);
+
+  /** Drop expired windows (called from the hourly sweep) */
+  function sweep() {
+    const now = Date.now();
+    for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+  }
+
+  return { hit, peek, sweep, max };
+}
+
+/** { ip, uploads, email } limiters for the application form, sized from the env */
+function createApplyLimiters() {
+  return {
+    ip: createRateLimiter({ max: Number(process.env.APPLY_RATE_LIMIT_PER_IP ?? 10) }),
+    uploads: createRateLimiter({ max: Number(process.env.APPLY_RATE_LIMIT_UPLOADS_PER_IP ?? 20) }),
+    email: createRateLimiter({ max: Number(process.env.APPLY_RATE_LIMIT_PER_EMAIL ?? 3) })
+  };
+}
+
+/** "honeypot" | "too_fast" when the raw form body looks automated, else null */
+function botSignal(body = {}, now = Date.now()) {
+  const trap = body[HONEYPOT_FIELD];
+  if (trap !== undefined && String(trap).trim() !== '') return 'honeypot';
+  const started = Number(body.formStartedAt);
+  if (MIN_FILL_MS > 0 && body.formStartedAt && Number.isFinite(started) && now - started < MIN_FILL_MS) return 'too_fast';
+  return null;
+}
+
+/**
+ * CORS_ORIGINS allowlist: { any, allowed(origin), corsOption } (corsOption is what cors() takes).
+ * Requests without an Origin (server-to-server, curl) are not a CORS matter and always pass.
+ */
+function createOriginPolicy(raw = process.env.CORS_ORIGINS) {
+  const list = String(raw || '').split(',').map(s => s.trim().replace(/\/+$/, '')).filter(Boolean);
+  const any = !list.length || list.includes('*');
+  const patterns = list.map(o => new RegExp(`^${o.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^./]+')}$`, 'i'));
+  const allowed = origin => any || !origin || patterns.some(re => re.test(origin));
+  return { any, allowed, corsOption: any ? '*' : (origin, cb) => cb(null, allowed(origin)) };
+}
+
+module.exports = { createRateLimiter, createApplyLimiters, botSignal, createOriginPolicy };
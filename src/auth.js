@@ -0,0 +1,31 @@
+/**
+ * Operator auth
+ * - ADMIN_API_KEY guards operator-only routes
+ * - Send it as "Authorization: Bearer <key>" or "X-Admin-Key: <key>"
+ */
+
+const crypto = require('crypto');
+const { sendError } = require('./problems');
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+/** Express middleware: 401 unless the request carries ADMIN_API_KEY */
+function requireAdmin(req, res, next) {
+  const key = process.env.ADMIN_API_KEY;
+  if (!key) {
+    return sendError(req, res, 'admin_not_configured',
+      { status: 503, body: { status: 'error', message: 'ADMIN_API_KEY not configured on server' } });
+  }
+  const auth = req.get('authorization') || '';
+  const given = req.get('x-admin-key') || (auth.startsWith('Bearer ') ? auth.slice(7) : '');
+  if (!given || !safeEqual(given, key)) {
+    return sendError(req, res, 'unauthorized', { status: 401, body: { status: 'error', message: 'unauthorized' } });
+  }
+  return next();
+}
+
+module.exports = { requireAdmin, safeEqual };
@@ -0,0 +1,72 @@
+/**
+ * ClickUp record backend: each application is a task in CLICKUP_LIST_ID
+ * - Field keys (cohort, paymentMethod, ...) are mapped to custom-field ids via src/fields.json
+ * - Errors surface as ClickUpError (a BackendError)
+ */
+
+const fs = require('fs');
+const { fieldDisplayValue } = require('../clickup');
+
+function createClickUpBackend({ client, listId, fieldIds }) {
+  return {
+    name: 'clickup',
+
+    async createApplication(app) {
+      const { answers, ...task } = app; // answers are for other backends; the task body is already built
+      const t = await client.createTask(listId, task);
+      return { id: t.id, customId: t.custom_id || null, url: t.url || null };
+    },
+
+    async attachFile(ref, file) {
+      // File-backed Blob: read from disk as it is sent, never buffered whole
+      const blob = file.buffer
+        ? new Blob([file.buffer], { type: file.mimetype })
+        : await fs.openAsBlob(file.path, { type: file.mimetype || 'application/octet-stream' });
+      return client.uploadAttachment(ref, blob, file.filename);
+    },
+
+    /** Unmapped keys are skipped rather than failing the caller */
+    async setField(ref, key, value) {
+      const fieldId = fieldIds[key];
+      if (!fieldId) return { skipped: true };
+      await client.setField(ref, fieldId, value);
+      return { set: true };
+    },
+
+    async addNote(ref, text) {
+      const c = await client.addComment(ref, text);
+      return { id: c?.id || null };
+    },
+
+    /** Task as { id, customId, name, url, status, fields: { key: display value } }; null when it does not exist */
+    async getApplication(ref) {
+      let task;
+      try {
+        task = await client.getTask(ref);
+      } catch (e) {
+        if (e.code === 'clickup_not_found') return null;
+        throw e;
+      }
+      const fields = {};
+      for (const [key, id] of Object.entries(fieldIds)) {
+        const v = fieldDisplayValue(task, id);
+        if (v !== null) fields[key] = v;
+      }
+      return {
+        id: task.id,
+        customId: task.custom_id || null,
+        name: task.name,
+        url: task.url || null,
+        status: task.status?.status || null,
+        fields
+      };
+    },
+
+    /** Token check: GET /user */
+    async health() {
+      return { ok: !!(await client.getUser()) };
+    }
+  };
+}
+
+module.exports = { createClickUpBackend };
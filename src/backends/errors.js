@@ -0,0 +1,16 @@
+/**
+ * Base error for any record-backend failure.
+ * code: stable string; retryable tells the outbox whether to back off or park the item.
+ */
+class BackendError extends Error {
+  constructor(code, message, { status, body, retryable } = {}) {
+    super(message);
+    this.name = 'BackendError';
+    this.code = code;
+    this.status = status;
+    this.body = body;
+    this.retryable = retryable ?? (!status || status === 408 || status === 429 || status >= 500);
+  }
+}
+
+module.exports = { BackendError };
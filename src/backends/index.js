@@ -0,0 +1,99 @@
+/**
+ * Applicant-record backends
+ * - Every backend implements:
+ *     createApplication(app, { id? })        -> { id, customId, url }
+ *       app = { name, description, tags?, custom_fields, answers }
+ *     attachFile(ref, { path | buffer, filename, mimetype, size?, url? }) -> { id, url, raw? }
+ *     setField(ref, key, value, { label? })  key = fields.json key (cohort, paymentMethod, ...)
+ *     addNote(ref, text)
+ *     getApplication(ref)                    -> { id, customId, name, url, status, fields } | null
+ *       status = the workflow status name, null when the backend has none
+ *     health()                               -> { ok }
+ *   ref = { taskId?, customTaskId? }; taskId is always the primary backend's id
+ * - RECORD_BACKENDS (default "clickup") lists backends, e.g. "clickup,local,webhook".
+ *   The first is primary: its ids go into responses and applicant tokens.
+ *   The rest mirror every write under the primary id; a failing mirror is logged, never fatal.
+ */
+
+const { createClickUpBackend } = require('./clickup');
+const { createLocalBackend } = require('./local');
+const { createWebhookBackend } = require('./webhook');
+const { BackendError } = require('./errors');
+const { createLogger } = require('../logger');
+const metrics = require('../metrics');
+
+const log = createLogger({ component: 'records' });
+
+function createBackend(name, opts) {
+  switch (name) {
+    case 'clickup': return createClickUpBackend(opts);
+    case 'local': return createLocalBackend(opts);
+    case 'webhook': return createWebhookBackend(opts);
+    default: throw new Error(`RECORD_BACKENDS: unknown backend "${name}" (expected clickup, local or webhook)`);
+  }
+}
+
+/** opts: { client, listId, fieldIds } for the ClickUp backend */
+function createRecordStore(opts, names = String(process.env.RECORD_BACKENDS || 'clickup')) {
+  const list = names.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  if (!list.length) throw new Error('RECORD_BACKENDS is empty');
+  const [primary, ...mirrors] = list.map(n => createBackend(n, opts));
+  if (primary.mirrorOnly) throw new Error(`RECORD_BACKENDS: "${primary.name}" can only be a mirror, not the first backend`);
+
+  /** Run a write on every mirror, keyed by the primary id (custom ids are resolved once) */
+  async function mirror(op, ref, fn) {
+    if (!mirrors.length) return;
+    let id = ref?.taskId;
+    if (!id) {
+      try {
+        id = (await primary.getApplication(ref))?.id;
+      } catch (e) {
+        log.warn('records.mirror_failed', { op, ref, err: e });
+        return;
+      }
+    }
+    if (!id) return;
+    await Promise.all(mirrors.map(async m => {
+      try {
+        await fn(m, { taskId: id });
+      } catch (e) {
+        metrics.mirrorFailures.inc({ backend: m.name, op });
+        log.warn('records.mirror_failed', { backend: m.name, op, taskId: id, err: e });
+      }
+    }));
+  }
+
+  return {
+    primary: primary.name,
+    names: list,
+
+    async createApplication(app) {
+      const r = await primary.createApplication(app);
+      await mirror('createApplication', { taskId: r.id }, (m, ref) => m.createApplication(app, { id: ref.taskId }));
+      return r;
+    },
+
+    async attachFile(ref, file) {
+      const r = await primary.attachFile(ref, file);
+      await mirror('attachFile', ref, (m, mref) => m.attachFile(mref, { ...file, url: r.url }));
+      return r;
+    },
+
+    async setField(ref, key, value, extra) {
+      const r = await primary.setField(ref, key, value, extra);
+      await mirror('setField', ref, (m, mref) => m.setField(mref, key, value, extra));
+      return r;
+    },
+
+    async addNote(ref, text) {
+      const r = await primary.addNote(ref, text);
+      await mirror('addNote', ref, (m, mref) => m.addNote(mref, text));
+      return r;
+    },
+
+    getApplication: ref => primary.getApplication(ref),
+    health: () => primary.health()
+  };
+}
+
+module.exports = { createRecordStore, BackendError };
@@ -0,0 +1,92 @@
+/**
+ * Local record backend: applications as JSON files under DATA_DIR/records
+ * - No external service, so the API runs without a ClickUp workspace
+ * - As a mirror it keys records by the primary backend's id, so replays overwrite, not duplicate
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createJournal } = require('../journal');
+const { BackendError } = require('./errors');
+
+function createLocalBackend() {
+  const journal = createJournal('records');
+  const filesDir = path.join(journal.dir, 'files');
+  fs.mkdirSync(filesDir, { recursive: true });
+
+  const idOf = ref => ref?.taskId || ref?.customTaskId;
+
+  function mustUpdate(ref, fn) {
+    const rec = journal.update(idOf(ref), fn);
+    if (!rec) throw new BackendError('record_not_found', `local record ${idOf(ref)} not found`, { status: 404 });
+    return rec;
+  }
+
+  return {
+    name: 'local',
+
+    async createApplication(app, { id } = {}) {
+      const now = new Date().toISOString();
+      const prev = id ? journal.get(id) : null;
+      const rec = journal.put({
+        ...prev,
+        id: id || crypto.randomUUID(),
+        createdAt: prev?.createdAt || now,
+        updatedAt: now,
+        name: app.name,
+        description: app.description,
+        tags: app.tags || [],
+        answers: app.answers || {},
+        fields: prev?.fields || {},
+        attachments: prev?.attachments || [],
+        notes: prev?.notes || []
+      });
+      return { id: rec.id, customId: null, url: null };
+    },
+
+    async attachFile(ref, file) {
+      const dir = path.join(filesDir, idOf(ref));
+      fs.mkdirSync(dir, { recursive: true });
+      const dest = path.join(dir, path.basename(file.filename || 'file').replace(/[^\w.-]+/g, '_'));
+      if (file.buffer) fs.writeFileSync(dest, file.buffer);
+      else fs.copyFileSync(file.path, dest);
+      const att = {
+        id: crypto.randomUUID(),
+        filename: file.filename,
+        mimetype: file.mimetype,
+        size: file.size ?? fs.statSync(dest).size,
+        url: file.url || `file://${dest}`,
+        at: new Date().toISOString()
+      };
+      mustUpdate(ref, cur => ({ ...cur, attachments: [...(cur.attachments || []), att] }));
+      return { id: att.id, url: att.url, raw: att };
+    },
+
+    /** Stores the human-readable label when given (option ids mean nothing outside ClickUp) */
+    async setField(ref, key, value, { label } = {}) {
+      mustUpdate(ref, cur => ({ ...cur, fields: { ...cur.fields, [key]: label ?? value } }));
+      return { set: true };
+    },
+
+    async addNote(ref, text) {
+      const note = { id: crypto.randomUUID(), text, at: new Date().toISOString() };
+      mustUpdate(ref, cur => ({ ...cur, notes: [...(cur.notes || []), note] }));
+      return { id: note.id };
+    },
+
+    async getApplication(ref) {
+      const rec = idOf(ref) ? journal.get(idOf(ref)) : null;
+      if (!rec) return null;
+      // Form answers share the fields.json keys (email, phone, ...); fields set later win.
+      // status is whatever staff put in the record file (null until then)
+      return { id: rec.id, customId: null, name: rec.name, url: null, status: rec.status || null, fields: { ...rec.answers, ...rec.fields } };
+    },
+
+    async health() {
+      return { ok: true };
+    }
+  };
+}
+
+module.exports = { createLocalBackend };
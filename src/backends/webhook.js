@@ -0,0 +1,72 @@
+/**
+ * Outbound-webhook record backend (mirror only)
+ * - Every write is POSTed as JSON: { event, id, at, data } to RECORD_WEBHOOK_URL
+ * - Events: application.created, application.file_attached, application.field_set, application.note_added
+ * - With RECORD_WEBHOOK_SECRET set, X-Signature: sha256=<HMAC-SHA256 of the raw body>
+ * - Files are not sent, only their metadata and the primary backend's URL
+ */
+
+const crypto = require('crypto');
+const { BackendError } = require('./errors');
+
+function createWebhookBackend({
+  url = process.env.RECORD_WEBHOOK_URL,
+  secret = process.env.RECORD_WEBHOOK_SECRET,
+  timeoutMs = Number(process.env.RECORD_WEBHOOK_TIMEOUT_MS || 10 * 1000)
+} = {}) {
+  if (!url) throw new Error('RECORD_WEBHOOK_URL is required for the webhook backend');
+
+  const idOf = ref => ref?.taskId || ref?.customTaskId;
+
+  async function send(event, id, data) {
+    const body = JSON.stringify({ event, id, at: new Date().toISOString(), data });
+    const headers = { 'Content-Type': 'application/json', 'X-Event': event };
+    if (secret) headers['X-Signature'] = 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+    let res;
+    try {
+      res = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (e) {
+      throw new BackendError('webhook_network', `webhook ${event} failed: ${e.message}`);
+    }
+    if (!res.ok) throw new BackendError('webhook_rejected', `webhook ${event} failed: HTTP ${res.status}`, { status: res.status });
+    return res;
+  }
+
+  return {
+    name: 'webhook',
+    mirrorOnly: true,
+
+    async createApplication(app, { id } = {}) {
+      const { name, description, tags, answers } = app;
+      await send('application.created', id, { name, description, tags: tags || [], answers: answers || {} });
+      return { id, customId: null, url: null };
+    },
+
+    async attachFile(ref, file) {
+      await send('application.file_attached', idOf(ref), {
+        filename: file.filename, mimetype: file.mimetype, size: file.size ?? null, url: file.url || null
+      });
+      return { id: null, url: file.url || null };
+    },
+
+    async setField(ref, key, value, { label } = {}) {
+      await send('application.field_set', idOf(ref), { key, value, label: label ?? null });
+      return { set: true };
+    },
+
+    async addNote(ref, text) {
+      await send('application.note_added', idOf(ref), { text });
+      return { id: null };
+    },
+
+    async getApplication() {
+      return null;
+    },
+
+    async health() {
+      return { ok: true };
+    }
+  };
+}
+
+module.exports = { createWebhookBackend };
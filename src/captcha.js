@@ -0,0 +1,79 @@
+/**
+ * CAPTCHA verification for /api/apply
+ * - CAPTCHA_PROVIDER: none (default) | turnstile | recaptcha | stub
+ * - Every verifier implements:
+ *     verify(token, { ip }) -> { ok: true } | { ok: false, error: 'missing' | 'invalid' | 'unavailable', codes? }
+ *   "unavailable" means the provider could not be asked (network, 5xx); callers decide whether to fail open.
+ * - turnstile / recaptcha: CAPTCHA_SECRET, CAPTCHA_VERIFY_URL (defaults to the provider's siteverify),
+ *   CAPTCHA_TIMEOUT_MS (5000); recaptcha v3 scores below CAPTCHA_MIN_SCORE (0.5) are rejected
+ * - stub: offline stand-in for local runs and tests. CAPTCHA_STUB_TOKEN (default "pass") passes,
+ *   "unavailable" simulates a provider outage, anything else is invalid. Refused in production.
+ * - The form sends the widget token as captchaToken, cf-turnstile-response or g-recaptcha-response
+ */
+
+const SITEVERIFY = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify'
+};
+
+/** Widget token from the form body */
+function captchaTokenFrom(body = {}) {
+  const t = body.captchaToken || body['cf-turnstile-response'] || body['g-recaptcha-response'];
+  return t ? String(t).trim() : null;
+}
+
+/** Turnstile and reCAPTCHA share the siteverify protocol (form post of secret + response + remoteip) */
+function createSiteverifyVerifier(name, {
+  secret = process.env.CAPTCHA_SECRET,
+  url = process.env.CAPTCHA_VERIFY_URL || SITEVERIFY[name],
+  timeoutMs = Number(process.env.CAPTCHA_TIMEOUT_MS || 5000),
+  minScore = Number(process.env.CAPTCHA_MIN_SCORE ?? 0.5)
+} = {}) {
+  if (!secret) throw new Error(`CAPTCHA_SECRET is required for CAPTCHA_PROVIDER=${name}`);
+  return {
+    name,
+    enabled: true,
+    async verify(token, { ip } = {}) {
+      if (!token) return { ok: false, error: 'missing' };
+      let j;
+      try {
+        const form = new URLSearchParams({ secret, response: token });
+        if (ip) form.set('remoteip', ip);
+        const r = await fetch(url, { method: 'POST', body: form, signal: AbortSignal.timeout(timeoutMs) });
+        if (!r.ok) return { ok: false, error: 'unavailable', codes: [`http_${r.status}`] };
+        j = await r.json();
+      } catch (e) {
+        return { ok: false, error: 'unavailable', codes: [e.name === 'TimeoutError' ? 'timeout' : 'network'] };
+      }
+      if (!j.success) return { ok: false, error: 'invalid', codes: j['error-codes'] || [] };
+      if (typeof j.score === 'number' && j.score < minScore) return { ok: false, error: 'invalid', codes: ['low_score'] };
+      return { ok: true };
+    }
+  };
+}
+
+function createStubVerifier({ pass = process.env.CAPTCHA_STUB_TOKEN || 'pass' } = {}) {
+  return {
+    name: 'stub',
+    enabled: true,
+    async verify(token) {
+      if (!token) return { ok: false, error: 'missing' };
+      if (token === 'unavailable') return { ok: false, error: 'unavailable', codes: ['stub'] };
+      return token === pass ? { ok: true } : { ok: false, error: 'invalid', codes: ['stub'] };
+    }
+  };
+}
+
+function createCaptchaVerifier(name = String(process.env.CAPTCHA_PROVIDER || 'none').toLowerCase(), opts) {
+  switch (name) {
+    case 'none': return { name, enabled: false, verify: async () => ({ ok: true }) };
+    case 'turnstile':
+    case 'recaptcha': return createSiteverifyVerifier(name, opts);
+    case 'stub':
+      if (process.env.NODE_ENV === 'production') throw new Error('CAPTCHA_PROVIDER=stub must not be used in production');
+      return createStubVerifier(opts);
+    default: throw new Error(`CAPTCHA_PROVIDER: unknown provider "${name}" (expected none, turnstile, recaptcha or stub)`);
+  }
+}
+
+module.exports = { createCaptchaVerifier, captchaTokenFrom };
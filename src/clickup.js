@@ -0,0 +1,256 @@
+/**
+ * Shared ClickUp API client
+ * - Owns auth, base URL and custom-vs-internal task id handling
+ * - Per-request timeouts, retry with backoff on network errors / 5xx (idempotent calls only)
+ * - Honors 429 + X-RateLimit-* headers: the local queue pauses until the window resets
+ * - Failures surface as ClickUpError with a stable `code` routes can translate
+ */
+
+const { createLogger } = require('./logger');
+const { BackendError } = require('./backends/errors');
+const metrics = require('./metrics');
+
+const DEFAULT_BASE = 'https://api.clickup.com/api/v2';
+const log = createLogger({ component: 'clickup' });
+
+/** Typed error for any failed ClickUp call */
+class ClickUpError extends BackendError {
+  /**
+   * code: clickup_timeout | clickup_network | clickup_rate_limited | clickup_auth |
+   *       clickup_not_found | clickup_bad_request | clickup_server_error
+   */
+  constructor(code, message, { status, body, endpoint, retryable } = {}) {
+    super(code, message, { status, body, retryable });
+    this.name = 'ClickUpError';
+    this.endpoint = endpoint;
+  }
+}
+
+function codeForStatus(status) {
+  if (status === 401 || status === 403) return 'clickup_auth';
+  if (status === 404) return 'clickup_not_found';
+  if (status === 429) return 'clickup_rate_limited';
+  if (status >= 500) return 'clickup_server_error';
+  return 'clickup_bad_request';
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function createClickUpClient({
+  token = process.env.CLICKUP_TOKEN,
+  teamId = process.env.CLICKUP_TEAM_ID,
+  baseUrl = process.env.CLICKUP_API_BASE || DEFAULT_BASE,
+  timeoutMs = Number(process.env.CLICKUP_TIMEOUT_MS || 30 * 1000),
+  uploadTimeoutMs = Number(process.env.CLICKUP_UPLOAD_TIMEOUT_MS || 6 * 60 * 1000),
+  maxRetries = Number(process.env.CLICKUP_MAX_RETRIES || 3),
+  concurrency = Number(process.env.CLICKUP_CONCURRENCY || 4)
+} = {}) {
+  // ---- local request queue (concurrency cap + rate-limit pause) ----
+  const waiting = [];
+  let active = 0;
+  let pausedUntil = 0;
+
+  function pump() {
+    while (active < concurrency && waiting.length) {
+      const wait = pausedUntil - Date.now();
+      if (wait > 0) {
+        setTimeout(pump, wait);
+        return;
+      }
+      const job = waiting.shift();
+      active++;
+      job.run().then(job.resolve, job.reject).finally(() => {
+        active--;
+        pump();
+      });
+    }
+  }
+
+  function enqueue(run) {
+    return new Promise((resolve, reject) => {
+      waiting.push({ run, resolve, reject });
+      pump();
+    });
+  }
+
+  /** Pause the whole queue when ClickUp says the window is spent */
+  function noteRateLimit(res) {
+    const remaining = res.headers.get('x-ratelimit-remaining');
+    const reset = Number(res.headers.get('x-ratelimit-reset')); // unix seconds
+    const retryAfter = Number(res.headers.get('retry-after'));   // seconds
+    if (res.status === 429 || remaining === '0') {
+      const until = reset ? reset * 1000 : Date.now() + (retryAfter || 60) * 1000;
+      pausedUntil = Math.max(pausedUntil, Math.min(until, Date.now() + 5 * 60 * 1000));
+    }
+  }
+
+  /**
+   * Low-level call. opts: { query, json, body, timeoutMs, idempotent }
+   * Resolves to the parsed JSON (or text) body; throws ClickUpError.
+   */
+  async function request(method, path, opts = {}) {
+    const qs = new URLSearchParams(Object.entries(opts.query || {}).filter(([, v]) => v !== undefined && v !== null));
+    const url = `${baseUrl}${path}${qs.toString() ? (path.includes('?') ? '&' : '?') + qs : ''}`;
+    const endpoint = `${method} ${path.split('?')[0]}`;
+    const endpointLabel = metrics.endpointLabel(endpoint);
+    const idempotent = opts.idempotent ?? ['GET', 'PUT', 'DELETE'].includes(method);
+    const headers = { Authorization: token };
+    let body = opts.body;
+    if (opts.json !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify(opts.json);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let err;
+      const started = Date.now();
+      try {
+        const res = await enqueue(() => fetch(url, {
+          method,
+          headers,
+          body,
+          signal: AbortSignal.timeout(opts.timeoutMs || timeoutMs)
+        }));
+        noteRateLimit(res);
+        log.debug('clickup.request', { endpoint, status: res.status, attempt, durationMs: Date.now() - started });
+        metrics.clickupRequests.inc({ endpoint: endpointLabel, status: res.status });
+        metrics.clickupDuration.observe({ endpoint: endpointLabel }, (Date.now() - started) / 1000);
+        const text = await res.text();
+        let parsed = text;
+        try { parsed = text ? JSON.parse(text) : {}; } catch (_) { /* keep text */ }
+        if (res.ok) return parsed;
+        err = new ClickUpError(codeForStatus(res.status), `ClickUp ${endpoint} failed: HTTP ${res.status}`, {
+          status: res.status, body: parsed, endpoint
+        });
+      } catch (e) {
+        if (e instanceof ClickUpError) throw e;
+        const timeout = e.name === 'TimeoutError' || e.name === 'AbortError';
+        err = new ClickUpError(timeout ? 'clickup_timeout' : 'clickup_network',
+          `ClickUp ${endpoint} ${timeout ? 'timed out' : 'network error'}: ${e.message}`, { endpoint });
+        metrics.clickupRequests.inc({ endpoint: endpointLabel, status: timeout ? 'timeout' : 'network_error' });
+      }
+
+      // 429 was never processed, so it is always safe to resend; other failures only when idempotent
+      const canRetry = err.status === 429 || (err.retryable && idempotent);
+      if (!canRetry || attempt >= maxRetries) throw err;
+      const delay = err.status === 429 ? 0 : Math.min(10000, 500 * 2 ** attempt) * (0.8 + Math.random() * 0.4);
+      log.warn('clickup.request.retry', { endpoint, code: err.code, status: err.status, attempt: attempt + 1, maxRetries });
+      await sleep(delay);
+    }
+  }
+
+  // ---- task id handling ----
+
+  /**
+   * Path segment + query for a task reference { taskId?, customTaskId? }.
+   * Internal ids are used as-is; custom ids (e.g. DTCA-2601) need custom_task_ids + team_id.
+   */
+  function taskRef({ taskId, customTaskId } = {}) {
+    if (taskId) return { id: encodeURIComponent(taskId), query: {}, usedCustom: false };
+    if (customTaskId) {
+      if (!teamId) throw new ClickUpError('clickup_bad_request', 'CLICKUP_TEAM_ID is required for custom task ids', { retryable: false });
+      return { id: encodeURIComponent(customTaskId), query: { custom_task_ids: 'true', team_id: teamId }, usedCustom: true };
+    }
+    throw new ClickUpError('clickup_bad_request', 'taskId or customTaskId is required', { retryable: false });
+  }
+
+  const getTask = ref => {
+    const t = taskRef(ref);
+    return request('GET', `/task/${t.id}`, { query: t.query });
+  };
+
+  /** Internal id for a reference (looks custom ids up); null when the task does not exist */
+  async function resolveTaskId(ref) {
+    if (ref?.taskId) return ref.taskId;
+    if (!ref?.customTaskId) return null;
+    try {
+      return (await getTask(ref))?.id || null;
+    } catch (e) {
+      if (e.code === 'clickup_not_found') return null;
+      throw e;
+    }
+  }
+
+  const setField = (ref, fieldId, value) => {
+    const t = taskRef(ref);
+    return request('POST', `/task/${t.id}/field/${fieldId}`, { query: t.query, json: { value }, idempotent: true });
+  };
+
+  /** Upload a Blob (file-backed or in-memory) as a task attachment; returns { id, url, raw } */
+  async function uploadAttachment(ref, blob, filename) {
+    const t = taskRef(ref);
+    const form = new FormData();
+    form.append('attachment', blob, filename);
+    const raw = await request('POST', `/task/${t.id}/attachment`, { query: t.query, body: form, timeoutMs: uploadTimeoutMs });
+    return {
+      id: raw?.id || raw?.attachment?.id || (Array.isArray(raw) && raw[0]?.id) || null,
+      url: raw?.url || raw?.attachment?.url || (Array.isArray(raw) && raw[0]?.url) || null,
+      raw
+    };
+  }
+
+  const addComment = (ref, text, { notifyAll = false } = {}) => {
+    const t = taskRef(ref);
+    return request('POST', `/task/${t.id}/comment`, { query: t.query, json: { comment_text: text, notify_all: notifyAll } });
+  };
+
+  /** The user the token belongs to (cheap credential check) */
+  const getUser = async () => (await request('GET', '/user'))?.user || null;
+
+  const getListFields = async listId => (await request('GET', `/list/${listId}/field`))?.fields || [];
+
+  const createTask = (listId, body) => request('POST', `/list/${listId}/task`, { json: body });
+
+  /** One page of tasks; query is passed through (custom_fields is JSON-encoded for you) */
+  const listTasks = (listId, query = {}) => request('GET', `/list/${listId}/task`, {
+    query: { ...query, custom_fields: query.custom_fields ? JSON.stringify(query.custom_fields) : undefined }
+  });
+
+  // ---- webhooks (registered on the workspace, scoped with list_id) ----
+
+  function teamPath() {
+    if (!teamId) throw new ClickUpError('clickup_bad_request', 'CLICKUP_TEAM_ID is required for webhooks', { retryable: false });
+    return `/team/${encodeURIComponent(teamId)}/webhook`;
+  }
+
+  const listWebhooks = async () => (await request('GET', teamPath()))?.webhooks || [];
+
+  /** body: { endpoint, events, list_id }; the response carries the signing secret (only ever returned here) */
+  const createWebhook = body => request('POST', teamPath(), { json: body });
+
+  const deleteWebhook = id => request('DELETE', `/webhook/${encodeURIComponent(id)}`);
+
+  return {
+    request,
+    taskRef,
+    getTask,
+    resolveTaskId,
+    setField,
+    uploadAttachment,
+    addComment,
+    getUser,
+    getListFields,
+    createTask,
+    listTasks,
+    listWebhooks,
+    createWebhook,
+    deleteWebhook
+  };
+}
+
+/**
+ * Human-readable value of a custom field on a fetched task.
+ * Dropdown values come back as the option's orderindex (or id); they are resolved to the option name.
+ */
+function fieldDisplayValue(task, fieldId) {
+  const f = (task?.custom_fields || []).find(x => x.id === fieldId);
+  if (!f || f.value === undefined || f.value === null || f.value === '') return null;
+  if (f.type === 'drop_down') {
+    const opts = f.type_config?.options || [];
+    const o = opts.find(x => x.id === f.value) || opts.find(x => x.orderindex === Number(f.value));
+    return o ? o.name : null;
+  }
+  return f.value;
+}
+
+module.exports = { createClickUpClient, ClickUpError, fieldDisplayValue };
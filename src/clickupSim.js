@@ -0,0 +1,505 @@
+/**
+ * Offline ClickUp simulator
+ * - Serves the slice of the ClickUp v2 API this server calls: GET /user, list fields,
+ *   task create/list/get/update (internal and custom ids), custom-field set, attachments, comments,
+ *   webhooks (team-level create/list, delete)
+ * - Seeded from src/clickupSim.json (override with CLICKUP_SIM_FIXTURE). State lives in memory,
+ *   or in the JSON file named by CLICKUP_SIM_STATE so it survives restarts.
+ * - Fault injection: CLICKUP_SIM_FAULTS (JSON array), the fixture's "faults", or PUT /_sim/faults.
+ *   Rule: { method?, path? ("*" or ":name" matches one segment, e.g. "/list/:id/task"),
+ *           status?, body?, delayMs?, drop?, times?, probability?, retryAfter? }
+ * - CLICKUP_SIMULATOR=true makes server.js run it in-process and point the client, list and
+ *   CF_* field ids at it; `npm run sim` runs it on its own (CLICKUP_SIM_PORT, default 8790).
+ * - Attachment bytes are read and discarded; only their metadata is kept.
+ * - A status change through PUT /task/:id is delivered to every registered webhook subscribed to
+ *   taskStatusUpdated, signed like ClickUp's (X-Signature: hex HMAC-SHA256 of the body with the
+ *   webhook's secret). Delivery is best effort: one attempt, failures are only logged.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'clickup-sim' });
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'clickupSim.json');
+const PAGE_SIZE = 100;
+
+function loadFixture(file = process.env.CLICKUP_SIM_FIXTURE || DEFAULT_FIXTURE) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/** Fault rules from CLICKUP_SIM_FAULTS; a malformed value is a startup error */
+function parseFaults(raw = process.env.CLICKUP_SIM_FAULTS) {
+  if (!raw) return [];
+  const rules = JSON.parse(raw);
+  if (!Array.isArray(rules)) throw new Error('CLICKUP_SIM_FAULTS must be a JSON array of fault rules');
+  return rules;
+}
+
+/** Error in ClickUp's { err, ECODE } shape (ECODEs are the simulator's own) */
+class SimError extends Error {
+  constructor(status, message, ecode) {
+    super(message);
+    this.status = status;
+    this.ecode = ecode;
+  }
+}
+
+const pathMatches = (pattern, p) => {
+  const a = pattern.split('/');
+  const b = p.split('/');
+  return a.length === b.length && a.every((s, i) => s === '*' || s.startsWith(':') || s === b[i]);
+};
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// ---------------------------------------------------------------------------
+// Workspace state
+
+/** List field definitions in API shape; string options get stable generated ids */
+function buildFields(list) {
+  return (list.fields || []).map(f => {
+    const field = { id: f.id, name: f.name, type: f.type, type_config: {} };
+    if (f.type === 'drop_down') {
+      field.type_config.options = (f.options || []).map((o, i) => ({
+        id: typeof o === 'string' ? `${f.id}-opt-${i}` : o.id,
+        name: typeof o === 'string' ? o : o.name,
+        orderindex: i
+      }));
+    }
+    return field;
+  });
+}
+
+function createWorkspace(fixture, stateFile) {
+  const list = fixture.list;
+  const fields = buildFields(list);
+  const fieldById = new Map(fields.map(f => [f.id, f]));
+  let state;
+
+  /** Value as ClickUp stores it (dropdowns: option orderindex); throws SimError when invalid */
+  function coerceValue(fieldId, value) {
+    const f = fieldById.get(fieldId);
+    if (!f) throw new SimError(400, `Custom field ${fieldId} not found on list`, 'SIM_FIELD_NOT_FOUND');
+    switch (f.type) {
+      case 'drop_down': {
+        const o = f.type_config.options.find(x => x.id === value || x.orderindex === value);
+        if (!o) throw new SimError(400, `Value is not an option of ${f.name}`, 'SIM_FIELD_BAD_OPTION');
+        return o.orderindex;
+      }
+      case 'checkbox':
+        if (![true, false, 'true', 'false'].includes(value)) {
+          throw new SimError(400, `${f.name} expects true or false`, 'SIM_FIELD_BAD_VALUE');
+        }
+        return value === true || value === 'true';
+      case 'number':
+        if (Number.isNaN(Number(value))) throw new SimError(400, `${f.name} expects a number`, 'SIM_FIELD_BAD_VALUE');
+        return Number(value);
+      default:
+        if (typeof value !== 'string') throw new SimError(400, `${f.name} expects a string`, 'SIM_FIELD_BAD_VALUE');
+        return value;
+    }
+  }
+
+  function save() {
+    if (!stateFile) return;
+    const tmp = `${stateFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, stateFile);
+  }
+
+  function insertTask(body, { id, custom_id } = {}) {
+    if (!body?.name) throw new SimError(400, 'Task name invalid', 'SIM_TASK_NAME');
+    const values = {};
+    for (const cf of body.custom_fields || []) values[cf.id] = coerceValue(cf.id, cf.value);
+    const now = String(Date.now());
+    const taskId = id || crypto.randomBytes(5).toString('hex').slice(0, 9);
+    const task = {
+      id: taskId,
+      custom_id: custom_id || `${list.customIdPrefix}-${state.nextCustomId++}`,
+      name: body.name,
+      description: body.description || '',
+      tags: (body.tags || []).map(name => ({ name })),
+      status: String(body.status || 'open').toLowerCase(),
+      date_created: now,
+      date_updated: now,
+      values,
+      attachments: [],
+      comments: []
+    };
+    state.tasks.push(task);
+    return task;
+  }
+
+  function reset() {
+    state = { nextCustomId: list.customIdStart || 1, tasks: [], webhooks: [] };
+    for (const t of fixture.tasks || []) insertTask(t, t);
+    save();
+  }
+
+  if (stateFile && fs.existsSync(stateFile)) state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  else reset();
+  state.webhooks ||= [];
+
+  /** Task as the API returns it: every list field is present, unset ones without a value */
+  function view(t) {
+    return {
+      id: t.id,
+      custom_id: t.custom_id,
+      name: t.name,
+      description: t.description,
+      text_content: t.description,
+      status: { status: t.status, type: 'open' },
+      tags: t.tags,
+      date_created: t.date_created,
+      date_updated: t.date_updated,
+      url: `https://app.clickup.com/t/${t.id}`,
+      list: { id: list.id, name: list.name },
+      custom_fields: fields.map(f => (t.values[f.id] === undefined ? { ...f } : { ...f, value: t.values[f.id] })),
+      attachments: t.attachments
+    };
+  }
+
+  /** Task for a :taskId path segment, honouring custom_task_ids + team_id */
+  function findTask(taskId, query) {
+    let t;
+    if (String(query.custom_task_ids) === 'true') {
+      if (String(query.team_id) !== String(fixture.teamId)) {
+        throw new SimError(401, 'Team not authorized', 'SIM_TEAM_NOT_AUTHORIZED');
+      }
+      t = state.tasks.find(x => x.custom_id === taskId);
+    } else {
+      t = state.tasks.find(x => x.id === taskId);
+    }
+    if (!t) throw new SimError(404, 'Task not found', 'SIM_TASK_NOT_FOUND');
+    return t;
+  }
+
+  /** custom_fields filter (JSON array of { field_id, operator: "=", value }) */
+  function matchesFilters(t, filters) {
+    return filters.every(({ field_id, operator = '=', value }) => {
+      if (operator !== '=') throw new SimError(400, `Unsupported custom field operator ${operator}`, 'SIM_FILTER_OPERATOR');
+      const f = fieldById.get(field_id);
+      if (!f) throw new SimError(400, `Custom field ${field_id} not found on list`, 'SIM_FIELD_NOT_FOUND');
+      const have = t.values[field_id];
+      if (have === undefined) return false;
+      if (f.type === 'drop_down') {
+        const o = f.type_config.options.find(x => x.id === value || x.orderindex === value);
+        return !!o && o.orderindex === have;
+      }
+      return String(have).toLowerCase() === String(value).toLowerCase();
+    });
+  }
+
+  const touch = t => {
+    t.date_updated = String(Date.now());
+    save();
+  };
+
+  return {
+    list,
+    fields,
+    reset,
+    view,
+    findTask,
+    coerceValue,
+    matchesFilters,
+    touch,
+    save,
+    tasks: () => state.tasks,
+    webhooks: () => state.webhooks,
+    create(body) {
+      const t = insertTask(body);
+      save();
+      return t;
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// HTTP
+
+/**
+ * Express app for the simulator.
+ * opts: { fixture, stateFile, faults }
+ */
+function createClickUpSimulator({
+  fixture = loadFixture(),
+  stateFile = process.env.CLICKUP_SIM_STATE,
+  faults = [...(fixture.faults || []), ...parseFaults()]
+} = {}) {
+  const ws = createWorkspace(fixture, stateFile);
+  let rules = faults.map(r => ({ ...r }));
+  const app = express();
+  const uploadTmp = multer({ dest: os.tmpdir() });
+
+  // ---- control plane (no auth, never faulted) ----
+  app.get('/_sim/state', (_req, res) => res.json({ tasks: ws.tasks().map(ws.view), webhooks: ws.webhooks(), faults: rules }));
+  app.post('/_sim/reset', (_req, res) => {
+    ws.reset();
+    res.json({ ok: true, tasks: ws.tasks().length });
+  });
+  app.get('/_sim/faults', (_req, res) => res.json({ faults: rules }));
+  app.put('/_sim/faults', express.json(), (req, res) => {
+    if (!Array.isArray(req.body)) return res.status(400).json({ ok: false, error: 'expected a JSON array of fault rules' });
+    rules = req.body.map(r => ({ ...r }));
+    res.json({ ok: true, faults: rules });
+  });
+
+  // ---- fault injection ----
+  app.use(async (req, res, next) => {
+    const rule = rules.find(r =>
+      (!r.method || r.method.toUpperCase() === req.method) &&
+      (!r.path || pathMatches(r.path, req.path)) &&
+      (r.times === undefined || r.times > 0) &&
+      Math.random() < (r.probability ?? 1));
+    if (!rule) return next();
+    if (rule.times !== undefined) rule.times--;
+    log.info('clickup_sim.fault', { method: req.method, path: req.path, status: rule.status, delayMs: rule.delayMs, drop: !!rule.drop });
+
+    if (rule.delayMs) await sleep(rule.delayMs);
+    if (rule.drop) return req.socket.destroy();
+    if (!rule.status) return next();
+    if (rule.status === 429) {
+      const wait = rule.retryAfter ?? 1;
+      res.set({
+        'Retry-After': String(wait),
+        'X-RateLimit-Remaining': '0',
+        'X-RateLimit-Reset': String(Math.ceil(Date.now() / 1000) + wait)
+      });
+    }
+    res.status(rule.status).json(rule.body || { err: `Injected HTTP ${rule.status}`, ECODE: 'SIM_FAULT' });
+  });
+
+  // ---- auth ----
+  app.use((req, _res, next) => {
+    const auth = req.get('authorization');
+    if (!auth || (fixture.token && auth !== fixture.token)) {
+      return next(new SimError(401, 'Token invalid', 'SIM_AUTH'));
+    }
+    next();
+  });
+
+  const checkList = req => {
+    if (req.params.listId !== String(ws.list.id)) throw new SimError(404, 'List not found', 'SIM_LIST_NOT_FOUND');
+  };
+  const checkTeam = req => {
+    if (req.params.teamId !== String(fixture.teamId)) throw new SimError(404, 'Team not found', 'SIM_TEAM_NOT_FOUND');
+  };
+
+  /** POST a signed event to each subscribed webhook (not awaited by the caller) */
+  function dispatch(event, task, historyItem) {
+    const hooks = ws.webhooks().filter(w =>
+      (w.events.includes('*') || w.events.includes(event)) && (!w.list_id || String(w.list_id) === String(ws.list.id)));
+    for (const w of hooks) {
+      const body = JSON.stringify({ event, task_id: task.id, webhook_id: w.id, history_items: [historyItem] });
+      const signature = crypto.createHmac('sha256', w.secret).update(body).digest('hex');
+      fetch(w.endpoint, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-signature': signature },
+        body,
+        signal: AbortSignal.timeout(10000)
+      }).then(
+        r => log.info('clickup_sim.webhook_delivered', { webhookId: w.id, event, taskId: task.id, status: r.status }),
+        err => log.warn('clickup_sim.webhook_failed', { webhookId: w.id, event, taskId: task.id, err })
+      );
+    }
+  }
+
+  app.get('/user', (_req, res) => res.json({ user: fixture.user || { id: 1, username: 'Simulator' } }));
+
+  app.get('/list/:listId/field', (req, res) => {
+    checkList(req);
+    res.json({ fields: ws.fields });
+  });
+
+  app.post('/list/:listId/task', express.json({ limit: '1mb' }), (req, res) => {
+    checkList(req);
+    const t = ws.create(req.body);
+    log.info('clickup_sim.task_created', { taskId: t.id, customId: t.custom_id });
+    res.json(ws.view(t));
+  });
+
+  app.get('/list/:listId/task', (req, res) => {
+    checkList(req);
+    let filters = [];
+    if (req.query.custom_fields) {
+      try {
+        filters = JSON.parse(req.query.custom_fields);
+      } catch (_) {
+        throw new SimError(400, 'custom_fields must be a JSON array', 'SIM_FILTER_INVALID');
+      }
+    }
+    const page = Number(req.query.page || 0);
+    const hits = ws.tasks().filter(t => ws.matchesFilters(t, filters));
+    const tasks = hits.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE).map(ws.view);
+    res.json({ tasks, last_page: (page + 1) * PAGE_SIZE >= hits.length });
+  });
+
+  app.get('/task/:taskId', (req, res) => {
+    res.json(ws.view(ws.findTask(req.params.taskId, req.query)));
+  });
+
+  // Status/name/description edits (how staff move an application along)
+  app.put('/task/:taskId', express.json({ limit: '1mb' }), (req, res) => {
+    const t = ws.findTask(req.params.taskId, req.query);
+    const b = req.body || {};
+    if (b.name !== undefined) {
+      if (!b.name) throw new SimError(400, 'Task name invalid', 'SIM_TASK_NAME');
+      t.name = b.name;
+    }
+    if (b.description !== undefined) t.description = String(b.description);
+    const before = t.status;
+    if (b.status !== undefined) t.status = String(b.status).toLowerCase();
+    ws.touch(t);
+    res.json(ws.view(t));
+    if (t.status !== before) {
+      dispatch('taskStatusUpdated', t, {
+        id: crypto.randomUUID(),
+        type: 1,
+        date: t.date_updated,
+        field: 'status',
+        before: { status: before },
+        after: { status: t.status },
+        user: fixture.user || { id: 1, username: 'Simulator' }
+      });
+    }
+  });
+
+  app.post('/task/:taskId/field/:fieldId', express.json(), (req, res) => {
+    const t = ws.findTask(req.params.taskId, req.query);
+    t.values[req.params.fieldId] = ws.coerceValue(req.params.fieldId, req.body?.value);
+    ws.touch(t);
+    res.json({});
+  });
+
+  app.post('/task/:taskId/attachment', uploadTmp.single('attachment'), (req, res) => {
+    try {
+      const t = ws.findTask(req.params.taskId, req.query);
+      if (!req.file) throw new SimError(400, 'No attachment in request', 'SIM_ATTACHMENT_MISSING');
+      const ext = path.extname(req.file.originalname).slice(1);
+      const id = `${crypto.randomUUID()}${ext ? '.' + ext : ''}`;
+      const att = {
+        id,
+        version: '0',
+        date: Date.now(),
+        title: req.file.originalname,
+        extension: ext,
+        size: req.file.size,
+        mimetype: req.file.mimetype,
+        url: `https://t.sim.clickup.invalid/${t.id}/${id}/${encodeURIComponent(req.file.originalname)}`
+      };
+      t.attachments.push(att);
+      ws.touch(t);
+      log.info('clickup_sim.attachment_added', { taskId: t.id, size: att.size });
+      res.json(att);
+    } finally {
+      if (req.file?.path) fs.rm(req.file.path, { force: true }, () => {});
+    }
+  });
+
+  app.post('/task/:taskId/comment', express.json({ limit: '1mb' }), (req, res) => {
+    const t = ws.findTask(req.params.taskId, req.query);
+    const c = { id: crypto.randomUUID(), hist_id: crypto.randomUUID(), date: Date.now() };
+    t.comments.push({ ...c, comment_text: req.body?.comment_text || '' });
+    ws.touch(t);
+    res.json(c);
+  });
+
+  app.get('/team/:teamId/webhook', (req, res) => {
+    checkTeam(req);
+    res.json({ webhooks: ws.webhooks() });
+  });
+
+  app.post('/team/:teamId/webhook', express.json(), (req, res) => {
+    checkTeam(req);
+    const b = req.body || {};
+    if (!/^https?:\/\//.test(b.endpoint || '')) throw new SimError(400, 'Webhook endpoint invalid', 'SIM_WEBHOOK_ENDPOINT');
+    if (!Array.isArray(b.events) || !b.events.length) throw new SimError(400, 'Webhook events invalid', 'SIM_WEBHOOK_EVENTS');
+    const webhook = {
+      id: crypto.randomUUID(),
+      userid: (fixture.user || {}).id || 1,
+      team_id: Number(fixture.teamId),
+      endpoint: b.endpoint,
+      client_id: crypto.randomBytes(16).toString('hex'),
+      events: b.events,
+      task_id: null,
+      list_id: b.list_id ?? null,
+      folder_id: null,
+      space_id: null,
+      health: { status: 'active', fail_count: 0 },
+      secret: crypto.randomBytes(24).toString('hex')
+    };
+    ws.webhooks().push(webhook);
+    ws.save();
+    log.info('clickup_sim.webhook_created', { webhookId: webhook.id, endpoint: webhook.endpoint });
+    res.json({ id: webhook.id, webhook });
+  });
+
+  app.delete('/webhook/:webhookId', (req, res) => {
+    const hooks = ws.webhooks();
+    const i = hooks.findIndex(w => w.id === req.params.webhookId);
+    if (i < 0) throw new SimError(404, 'Webhook not found', 'SIM_WEBHOOK_NOT_FOUND');
+    hooks.splice(i, 1);
+    ws.save();
+    res.json({});
+  });
+
+  app.use((req, _res, next) => next(new SimError(404, `Simulator does not implement ${req.method} ${req.path}`, 'SIM_NOT_IMPLEMENTED')));
+
+  app.use((err, _req, res, _next) => {
+    if (err instanceof SimError) return res.status(err.status).json({ err: err.message, ECODE: err.ecode });
+    log.error('clickup_sim.failed', { err });
+    res.status(500).json({ err: 'Simulator error', ECODE: 'SIM_INTERNAL' });
+  });
+
+  return { app, workspace: ws };
+}
+
+/**
+ * Env that points this server at a simulator on `url`: client base, token, team,
+ * list and every CF_* id the fixture declares.
+ */
+function simulatorEnv(fixture, url) {
+  const env = {
+    CLICKUP_API_BASE: url,
+    CLICKUP_TOKEN: fixture.token || 'pk_simulator',
+    CLICKUP_TEAM_ID: String(fixture.teamId),
+    CLICKUP_LIST_ID: String(fixture.list.id)
+  };
+  for (const f of fixture.list.fields || []) if (f.env) env[f.env] = f.id;
+  return env;
+}
+
+/** Listen on 127.0.0.1:port; resolves { url, env, server } */
+function startClickUpSimulator({ port = Number(process.env.CLICKUP_SIM_PORT || 8790), fixture = loadFixture(), ...opts } = {}) {
+  const url = `http://127.0.0.1:${port}`;
+  const { app, workspace } = createClickUpSimulator({ fixture, ...opts });
+  const env = simulatorEnv(fixture, url);
+  const ready = new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', err => {
+      if (err) return reject(err);
+      log.info('clickup_sim.listening', { url, listId: env.CLICKUP_LIST_ID, tasks: workspace.tasks().length });
+      resolve(server);
+    });
+  });
+  return { url, env, ready };
+}
+
+if (require.main === module) {
+  const sim = startClickUpSimulator();
+  sim.ready.then(() => {
+    // Paste into .env (or export) to point a separately started server at this simulator
+    process.stdout.write(Object.entries(sim.env).map(([k, v]) => `${k}=${v}`).join('\n') + '\n');
+  }, err => {
+    log.error('clickup_sim.listen_failed', { err });
+    process.exit(1);
+  });
+}
+
+module.exports = { createClickUpSimulator, startClickUpSimulator, simulatorEnv, loadFixture };
@@ -0,0 +1,93 @@
+/**
+ * Cohort catalog
+ * - Options come from the CF_COHORT dropdown in ClickUp
+ * - src/cohorts.json (override with COHORTS_FILE) adds code, label and aliases; startDate,
+ *   enrollOpen, enrollClose and capacity are optional (without them a cohort is always open, no seat limit)
+ * - An option with no metadata entry is listed as "unconfigured" and cannot be picked
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function loadCohortConfig(file = process.env.COHORTS_FILE || path.join(__dirname, 'cohorts.json')) {
+  const cfg = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return (cfg.cohorts || []).map(c => {
+    if (!c.code) throw new Error('cohorts.json: every cohort needs a "code"');
+    return { ...c, optionId: c.optionId || (c.optionIdEnv && process.env[c.optionIdEnv]) || null };
+  });
+}
+
+const norm = s => String(s || '').trim().toLowerCase();
+
+/** Date-only values ("2026-01-09") count as the whole day; closing is exclusive of the next day */
+function parseDay(d, endOfDay) {
+  if (!d) return null;
+  const t = Date.parse(d);
+  if (Number.isNaN(t)) return null;
+  return /^\d{4}-\d{2}-\d{2}$/.test(d) && endOfDay ? t + 24 * 60 * 60 * 1000 : t;
+}
+
+/**
+ * Join dropdown options with metadata.
+ * options: [{ id, name }]; counts: Map optionId -> tasks assigned (missing = unknown)
+ * Each entry: { optionId, name, code, label, startDate, enrollOpen, enrollClose,
+ *               capacity, enrolled, seatsRemaining, state }
+ * state: open | not_open | closed | full | unconfigured
+ */
+function buildCatalog(options, config, counts = new Map(), now = Date.now()) {
+  return (options || []).map(o => {
+    const meta = config.find(c => c.optionId === o.id) ||
+      config.find(c => !c.optionId && norm(o.name).includes(norm(c.code)));
+    const enrolled = counts.has(o.id) ? counts.get(o.id) : null;
+    const entry = {
+      optionId: o.id,
+      name: o.name,
+      code: meta?.code || null,
+      label: meta?.label || o.name,
+      startDate: meta?.startDate || null,
+      enrollOpen: meta?.enrollOpen || null,
+      enrollClose: meta?.enrollClose || null,
+      capacity: meta?.capacity ?? null,
+      enrolled,
+      seatsRemaining: meta?.capacity != null && enrolled != null ? Math.max(0, meta.capacity - enrolled) : null
+    };
+
+    const opens = parseDay(entry.enrollOpen, false);
+    const closes = parseDay(entry.enrollClose, true);
+    if (!meta) entry.state = 'unconfigured';
+    else if (opens && now < opens) entry.state = 'not_open';
+    else if (closes && now >= closes) entry.state = 'closed';
+    else if (entry.seatsRemaining === 0) entry.state = 'full';
+    else entry.state = 'open';
+
+    entry.aliases = meta?.aliases || [];
+    return entry;
+  });
+}
+
+/** Find a catalog entry by option id, code, label, alias or option name */
+function matchCohort(catalog, input) {
+  const v = norm(input);
+  if (!v) return null;
+  return catalog.find(c => c.optionId === input) ||
+    catalog.find(c => norm(c.code) === v || norm(c.label) === v || c.aliases.some(a => norm(a) === v)) ||
+    catalog.find(c => norm(c.name) === v) ||
+    catalog.find(c => c.code && v.includes(norm(c.code))) ||
+    null;
+}
+
+/** Public view of an entry (what GET /api/cohorts returns) */
+function publicCohort(c) {
+  return {
+    code: c.code,
+    label: c.label,
+    name: c.name,
+    optionId: c.optionId,
+    startDate: c.startDate,
+    enrollClose: c.enrollClose,
+    seatsRemaining: c.seatsRemaining,
+    state: c.state
+  };
+}
+
+module.exports = { loadCohortConfig, buildCatalog, matchCohort, publicCohort };
@@ -0,0 +1,108 @@
+/**
+ * Repeat-submission handling
+ * - Idempotency-Key header -> the submission it created (replayed, never re-created). Keys are scoped
+ *   per program and bound to a fingerprint of the request, so a key sent with another applicant's
+ *   data is refused instead of handing back the first applicant's submission
+ * - Applicant index: normalized email / phone -> earlier submissions
+ * Keys are stored hashed so neither the raw key nor PII ends up in file names.
+ */
+
+const crypto = require('crypto');
+const { createJournal } = require('./journal');
+
+const IDEMPOTENCY_TTL_MS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 60 * 60 * 1000;
+
+const hash = s => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+/** Lowercased, trimmed; gmail-style "+tag" suffixes dropped */
+function normalizeEmail(email) {
+  if (!email) return null;
+  const [local, domain] = String(email).trim().toLowerCase().split('@');
+  if (!domain) return null;
+  return `${local.replace(/\+.*$/, '')}@${domain}`;
+}
+
+/** Digits only (E.164 without the "+") */
+function normalizePhone(phone) {
+  const d = String(phone || '').replace(/\D+/g, '');
+  return d.length >= 8 ? d : null;
+}
+
+/** Hash of what a request asked for: program, normalized email and the answers (key order ignored) */
+function requestFingerprint({ scope, email, payload }) {
+  const sorted = Object.keys(payload || {}).sort().map(k => [k, payload[k] ?? null]);
+  return hash(JSON.stringify([scope || null, normalizeEmail(email), sorted]));
+}
+
+function createIdempotencyStore() {
+  const journal = createJournal('idempotency');
+  // scope: program id (none for the default program)
+  const idFor = (key, scope) => hash(scope ? `${scope}:${key}` : key);
+
+  /** { submissionId, fingerprint } previously stored for this key (null if unknown/expired) */
+  function lookup(key, scope) {
+    const rec = journal.get(idFor(key, scope));
+    if (!rec) return null;
+    if (Date.parse(rec.expiresAt) < Date.now()) {
+      journal.remove(rec.id);
+      return null;
+    }
+    return { submissionId: rec.submissionId, fingerprint: rec.fingerprint || null };
+  }
+
+  function remember(key, submissionId, { scope, fingerprint } = {}) {
+    const now = Date.now();
+    journal.put({
+      id: idFor(key, scope),
+      submissionId,
+      fingerprint,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + IDEMPOTENCY_TTL_MS).toISOString()
+    });
+  }
+
+  function sweep() {
+    const now = Date.now();
+    journal.list(r => Date.parse(r.expiresAt) < now).forEach(r => journal.remove(r.id));
+  }
+
+  return { lookup, remember, sweep };
+}
+
+function createApplicantIndex() {
+  const journal = createJournal('applicants');
+
+  const keysFor = ({ email, phone }) => [
+    normalizeEmail(email) && `email:${normalizeEmail(email)}`,
+    normalizePhone(phone) && `phone:${normalizePhone(phone)}`
+  ].filter(Boolean);
+
+  /** Earlier submission ids for this applicant (most recent first), with what matched */
+  function find(applicant) {
+    const hits = [];
+    for (const k of keysFor(applicant)) {
+      const rec = journal.get(hash(k));
+      if (rec) hits.push({ matchedOn: k.split(':')[0], submissionIds: rec.submissionIds });
+    }
+    return hits;
+  }
+
+  function record(applicant, submissionId) {
+    for (const k of keysFor(applicant)) {
+      const id = hash(k);
+      const cur = journal.get(id);
+      const now = new Date().toISOString();
+      journal.put({
+        id,
+        kind: k.split(':')[0],
+        createdAt: cur?.createdAt || now,
+        updatedAt: now,
+        submissionIds: [submissionId, ...(cur?.submissionIds || [])]
+      });
+    }
+  }
+
+  return { find, record };
+}
+
+module.exports = { createIdempotencyStore, createApplicantIndex, requestFingerprint, normalizeEmail, normalizePhone };
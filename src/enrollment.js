@@ -0,0 +1,43 @@
+/**
+ * Enrollment step log
+ * - Outcome of the applicant's post-application steps (cohort, paymentMethod) per task,
+ *   so operators can see them next to the outbox steps without asking ClickUp
+ * - Keyed by the task id (or the custom id when that is all the applicant's token had)
+ * - Each step keeps the value last attempted ({ optionId, label }), so a failed update can be re-applied
+ */
+
+const { createJournal } = require('./journal');
+
+const STEPS = ['cohort', 'paymentMethod'];
+
+function createEnrollmentLog() {
+  const journal = createJournal('enrollment');
+
+  const idOf = ref => ref?.taskId || ref?.customTaskId;
+
+  /** outcome: { status: 'done' | 'failed', value: { optionId, label }, error? } */
+  function record(ref, step, outcome) {
+    const id = idOf(ref);
+    if (!id) return null;
+    const now = new Date().toISOString();
+    const cur = journal.get(id);
+    return journal.put({
+      ...cur,
+      id,
+      taskId: ref.taskId || cur?.taskId || null,
+      customTaskId: ref.customTaskId || cur?.customTaskId || null,
+      createdAt: cur?.createdAt || now,
+      updatedAt: now,
+      steps: { ...cur?.steps, [step]: { ...outcome, at: now } }
+    });
+  }
+
+  /** Entry for a task by either id (null if none) */
+  function get({ taskId, customTaskId } = {}) {
+    return (taskId && journal.get(taskId)) || (customTaskId && journal.get(customTaskId)) || null;
+  }
+
+  return { record, get, list: journal.list };
+}
+
+module.exports = { createEnrollmentLog, ENROLLMENT_STEPS: STEPS };
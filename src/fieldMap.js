@@ -0,0 +1,140 @@
+/**
+ * Field mapping (form field -> ClickUp custom field)
+ * - Loaded from src/fields.json (override with FIELD_MAP_FILE)
+ * - Drives custom_fields construction for new tasks
+ * - Verifies mapped ids against the list's fields on boot
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KINDS = ['text', 'dropdown', 'checkbox', 'url', 'number', 'description'];
+
+/** ClickUp field types accepted for each mapping kind */
+const CLICKUP_TYPES = {
+  text: ['short_text', 'text', 'email', 'phone'],
+  dropdown: ['drop_down'],
+  checkbox: ['checkbox'],
+  url: ['url', 'short_text', 'text'],
+  number: ['number']
+};
+
+/** Read + sanity-check the mapping file; throws on malformed entries */
+function loadFieldMap(file = process.env.FIELD_MAP_FILE || path.join(__dirname, 'fields.json')) {
+  const map = JSON.parse(fs.readFileSync(file, 'utf8'));
+  map.form = map.form || {};
+  map.task = map.task || {};
+  for (const [section, entries] of Object.entries({ form: map.form, task: map.task })) {
+    for (const [name, m] of Object.entries(entries)) {
+      if (!KINDS.includes(m.kind)) {
+        throw new Error(`fields.json: ${section}.${name} has unknown kind "${m.kind}"`);
+      }
+      if (m.kind !== 'description' && !m.cf) {
+        throw new Error(`fields.json: ${section}.${name} needs a "cf" key`);
+      }
+    }
+  }
+  return map;
+}
+
+/** Build the CF key -> field id lookup (env var wins over the id in the file) */
+function resolveFieldIds(map, env = process.env) {
+  const CF = {};
+  for (const m of [...Object.values(map.form), ...Object.values(map.task)]) {
+    if (!m.cf) continue;
+    CF[m.cf] = (m.env && env[m.env]) || m.id || undefined;
+  }
+  return CF;
+}
+
+/** fields.json key (email, cohort, ...) -> resolved field id, for the record backends */
+function fieldIdsByKey(map, CF) {
+  const out = {};
+  for (const [key, m] of [...Object.entries(map.form), ...Object.entries(map.task)]) {
+    if (m.cf && CF[m.cf]) out[key] = CF[m.cf];
+  }
+  return out;
+}
+
+/** Apply a mapping's value aliases (case-insensitive) */
+function applyAlias(m, raw) {
+  if (!m.aliases) return raw;
+  const key = String(raw).trim().toLowerCase();
+  const hit = Object.keys(m.aliases).find(a => a.toLowerCase() === key);
+  return hit ? m.aliases[hit] : raw;
+}
+
+/** Payload with every form field's aliases applied, so validation sees the canonical values ("true" -> "Yes") */
+function applyAliases(map, p) {
+  const out = { ...p };
+  for (const [name, m] of Object.entries(map.form)) {
+    if (out[name]) out[name] = applyAlias(m, out[name]);
+  }
+  return out;
+}
+
+const truthy = v => /^(yes|y|true|on|1)$/i.test(String(v).trim());
+
+/**
+ * Build ClickUp custom_fields for a normalized payload.
+ * pushDropdown(custom_fields, fieldId, raw) handles option lookup for dropdowns.
+ */
+function buildCustomFields(map, CF, p, { pushDropdown }) {
+  const custom_fields = [];
+  for (const [name, m] of Object.entries(map.form)) {
+    const raw = p[name];
+    const fieldId = m.cf && CF[m.cf];
+    if (!fieldId || !raw || m.kind === 'description') continue;
+
+    const value = applyAlias(m, raw);
+    if (m.kind === 'dropdown') pushDropdown(custom_fields, fieldId, value);
+    else if (m.kind === 'checkbox') custom_fields.push({ id: fieldId, value: truthy(value) });
+    else custom_fields.push({ id: fieldId, value });
+  }
+  return custom_fields;
+}
+
+/**
+ * Compare the mapping against the list's fields (GET /list/:id/field).
+ * Each row: { section, name, cf, id, kind, status, clickupName?, clickupType? }
+ * status: ok | unset | not_found | type_mismatch | skipped (description-only)
+ */
+function verifyFieldMap(map, CF, listFields) {
+  const byId = new Map((listFields || []).map(f => [f.id, f]));
+  const rows = [];
+  for (const [section, entries] of Object.entries({ form: map.form, task: map.task })) {
+    for (const [name, m] of Object.entries(entries)) {
+      const id = m.cf ? CF[m.cf] || null : null;
+      const row = { section, name, cf: m.cf || null, id, kind: m.kind };
+      if (m.kind === 'description') {
+        row.status = 'skipped';
+      } else if (!id) {
+        row.status = 'unset';
+      } else if (!byId.has(id)) {
+        row.status = 'not_found';
+      } else {
+        const f = byId.get(id);
+        row.clickupName = f.name;
+        row.clickupType = f.type;
+        row.status = CLICKUP_TYPES[m.kind].includes(f.type) ? 'ok' : 'type_mismatch';
+      }
+      rows.push(row);
+    }
+  }
+  const problems = rows.filter(r => r.status === 'not_found' || r.status === 'type_mismatch');
+  return { ok: problems.length === 0, checkedAt: new Date().toISOString(), problems: problems.length, fields: rows };
+}
+
+/** One line per mapped field, problems first */
+function formatReport(report) {
+  const order = { not_found: 0, type_mismatch: 1, unset: 2, ok: 3, skipped: 4 };
+  return [...report.fields]
+    .sort((a, b) => order[a.status] - order[b.status])
+    .map(r => {
+      const target = r.clickupName ? `"${r.clickupName}" (${r.clickupType})` : (r.id || '-');
+      return `  [${r.status.toUpperCase()}] ${r.section}.${r.name} -> ${r.cf || '-'} ${target} expected ${r.kind}`;
+    })
+    .join('\n');
+}
+
+module.exports = { loadFieldMap, resolveFieldIds, fieldIdsByKey, applyAliases, buildCustomFields, verifyFieldMap, formatReport };
@@ -0,0 +1,144 @@
+/**
+ * Job-guarantee signing
+ * - Renders the signed agreement with PDFKit, plus an audit-certificate page
+ * - Hashes (SHA-256) the terms, the signature image and the final PDF
+ * - Keeps a signature record so a PDF can later be checked against what was signed
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { createJournal } = require('./journal');
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+/** Hash a file without loading it whole */
+function sha256File(file) {
+  return new Promise((resolve, reject) => {
+    const h = crypto.createHash('sha256');
+    fs.createReadStream(file).on('data', d => h.update(d)).on('error', reject).on('end', () => resolve(h.digest('hex')));
+  });
+}
+
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/** Signature bytes from a `data:image/png;base64,...` URL; null unless it decodes to a PNG */
+function decodeSignaturePng(dataUrl) {
+  const m = /^data:image\/png;base64,([A-Za-z0-9+/]+={0,2})$/.exec(String(dataUrl || '').trim());
+  if (!m) return null;
+  const buf = Buffer.from(m[1], 'base64');
+  if (!buf.subarray(0, 8).equals(PNG_MAGIC)) return null;
+  // Let PDFKit parse it now, so a truncated or corrupt PNG fails here rather than mid-render
+  try {
+    new PDFDocument({ autoFirstPage: false }).openImage(buf);
+    return buf;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Write the agreement PDF. Rejects (and removes the partial file) if the signature cannot be drawn.
+ * sig: { id, fullName, signedAt, clientSignedAt, ip, userAgent, taskId, customTaskId,
+ *        submissionId, termsVersion, termsSha256, signatureSha256 }
+ */
+function renderGuaranteePdf({ outPath, title, termsText, signatureImage, sig }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      margin: 50,
+      info: {
+        Title: title,
+        Author: 'Dion Training',
+        Subject: `Signature ${sig.id}`,
+        Keywords: `terms-version:${sig.termsVersion} terms-sha256:${sig.termsSha256} signature-sha256:${sig.signatureSha256}`
+      }
+    });
+    const stream = fs.createWriteStream(outPath);
+    doc.pipe(stream);
+
+    doc.fontSize(18).text(title, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(10).fillColor('#555')
+      .text(`Signed by: ${sig.fullName || 'N/A'}`)
+      .text(`Signed at: ${sig.signedAt}`)
+      .text(`Terms version: ${sig.termsVersion}`);
+    doc.moveDown();
+
+    doc.fillColor('#000').fontSize(12).text(termsText || '', { width: 500 });
+
+    doc.addPage();
+    doc.fontSize(14).text('Signature', { underline: true });
+    doc.moveDown(0.5);
+    try {
+      doc.image(signatureImage, { fit: [400, 120] });
+    } catch (e) {
+      stream.destroy();
+      fs.rm(outPath, { force: true }, () => reject(e));
+      return;
+    }
+    doc.moveDown(0.5);
+    doc.fontSize(12).text(`Name: ${sig.fullName || ''}`);
+    doc.text(`Date: ${new Date(sig.signedAt).toUTCString()}`);
+
+    // Audit certificate: everything needed to tie this document to the signing event
+    doc.addPage();
+    doc.fontSize(16).text('Audit Certificate', { align: 'center' });
+    doc.moveDown();
+    const rows = [
+      ['Signature ID', sig.id],
+      ['Signer name', sig.fullName || 'N/A'],
+      ['Signed at (server, UTC)', sig.signedAt],
+      ['Signed at (reported by browser)', sig.clientSignedAt || 'n/a'],
+      ['Signer IP address', sig.ip || 'unknown'],
+      ['Signer user agent', sig.userAgent || 'unknown'],
+      ['ClickUp task', [sig.taskId, sig.customTaskId].filter(Boolean).join(' / ') || 'n/a'],
+      ['Submission ID', sig.submissionId || 'n/a'],
+      ['Terms version', sig.termsVersion],
+      ['Terms SHA-256', sig.termsSha256],
+      ['Signature image SHA-256', sig.signatureSha256]
+    ];
+    rows.forEach(([k, v]) => {
+      doc.font('Helvetica-Bold').fontSize(10).text(k);
+      doc.font('Helvetica').fontSize(10).fillColor('#333').text(String(v), { width: 500 }).fillColor('#000');
+      doc.moveDown(0.4);
+    });
+    doc.moveDown();
+    doc.fontSize(9).fillColor('#555').text(
+      'The SHA-256 of this complete PDF is recorded with the signature ID above. ' +
+      `Verify a copy at /api/guarantee/${sig.id}/verify.`,
+      { width: 500 }
+    );
+
+    doc.end();
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+}
+
+function createSignatureStore() {
+  const journal = createJournal('signatures');
+  return {
+    save: rec => journal.put(rec),
+    get: id => {
+      try { return journal.get(id); } catch (_) { return null; }
+    },
+    update: (id, patch) => journal.update(id, patch),
+    list: filter => journal.list(filter)
+  };
+}
+
+/** Public part of a signature record (no IP / user agent) */
+function publicSignature(rec) {
+  return {
+    signatureId: rec.id,
+    taskId: rec.taskId,
+    fullName: rec.fullName,
+    signedAt: rec.signedAt,
+    termsVersion: rec.termsVersion,
+    termsSha256: rec.termsSha256,
+    signatureSha256: rec.signatureSha256,
+    pdfSha256: rec.pdfSha256
+  };
+}
+
+module.exports = { renderGuaranteePdf, decodeSignaturePng, createSignatureStore, publicSignature, sha256, sha256File };
@@ -0,0 +1,75 @@
+/**
+ * Tiny file-backed record store
+ * - One JSON file per record under a directory
+ * - Writes go to a temp file + rename so a crash never leaves half a record
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Root for all persisted state (outbox, uploads, idempotency keys, webhook secrets, ...).
+ * Required in production and must be a persistent volume: the container filesystem is wiped
+ * on every redeploy, taking pending deliveries and ClickUp webhook secrets with it.
+ */
+if (process.env.NODE_ENV === 'production' && !process.env.DATA_DIR) {
+  throw new Error('DATA_DIR must point at a persistent volume in production');
+}
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+function createJournal(name) {
+  const dir = path.join(DATA_DIR, name);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = id => {
+    if (!/^[\w.-]+$/.test(String(id))) throw new Error(`invalid record id "${id}"`);
+    return path.join(dir, `${id}.json`);
+  };
+
+  function get(id) {
+    try {
+      return JSON.parse(fs.readFileSync(fileFor(id), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  function put(rec) {
+    const file = fileFor(rec.id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(rec, null, 2));
+    fs.renameSync(tmp, file);
+    return rec;
+  }
+
+  /** Shallow-merge patch into an existing record (updatedAt is stamped) */
+  function update(id, patch) {
+    const cur = get(id);
+    if (!cur) return null;
+    const next = typeof patch === 'function' ? patch(cur) : { ...cur, ...patch };
+    next.updatedAt = new Date().toISOString();
+    return put(next);
+  }
+
+  function remove(id) {
+    try { fs.unlinkSync(fileFor(id)); } catch (_) {}
+  }
+
+  /** All records, newest first; optional filter fn */
+  function list(filter) {
+    const out = [];
+    for (const f of fs.readdirSync(dir)) {
+      if (!f.endsWith('.json')) continue;
+      try {
+        const rec = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+        if (!filter || filter(rec)) out.push(rec);
+      } catch (_) { /* partial/foreign file; ignore */ }
+    }
+    return out.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  return { dir, get, put, update, remove, list };
+}
+
+module.exports = { DATA_DIR, createJournal };
@@ -0,0 +1,128 @@
+/**
+ * Structured JSON logging
+ * - One JSON object per line: { time, level, event, requestId?, ...fields }
+ * - LOG_LEVEL = debug | info | warn | error (default info)
+ * - The request id follows async work (AsyncLocalStorage), so ClickUp and outbox lines
+ *   written while serving a request carry it without passing it around
+ * - Applicant PII and secrets are redacted by key, and e-mail addresses / tokens inside
+ *   strings are masked, before anything is written
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+// Compared lower-cased with '-' and '_' removed
+const REDACT_KEYS = new Set([
+  // applicant data
+  'email', 'phone', 'fullname', 'name', 'firstname', 'lastname', 'em',
+  'additionalcomments', 'experiencedescription', 'engagementtext', 'certificationslisted',
+  'otherlocation', 'othereducation', 'description', 'markdowndescription', 'commenttext',
+  'customfields', 'ip', 'useragent', 'signaturepng',
+  // secrets
+  'token', 'applicanttoken', 'xapplicanttoken', 'authorization', 'xadminkey', 'secret',
+  'password', 'apikey', 'cookie'
+]);
+
+const EMAIL_RE = /[^\s@"'<>]+@[^\s@"'<>]+\.[a-z]{2,}/gi;
+const TOKEN_RE = /\b(token=)[^&\s"']+/gi;
+const SIGNED_TOKEN_RE = /\b[\w-]{1,32}\.[A-Za-z0-9_-]{16,}\.[A-Za-z0-9_-]{20,}\b/g;
+
+const normKey = k => String(k).toLowerCase().replace(/[-_]/g, '');
+
+function maskString(s) {
+  return s.replace(EMAIL_RE, '[email]').replace(TOKEN_RE, '$1[redacted]').replace(SIGNED_TOKEN_RE, '[token]');
+}
+
+function serializeError(e) {
+  const out = { name: e.name, message: e.message };
+  for (const k of ['code', 'status', 'endpoint', 'body']) if (e[k] !== undefined) out[k] = e[k];
+  if (e.stack && LOG_LEVEL <= LEVELS.debug) out.stack = e.stack;
+  return out;
+}
+
+/** Deep copy with PII/secret keys replaced by "[redacted]" */
+function redact(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return maskString(value);
+  if (typeof value !== 'object') return value;
+  if (depth > 6) return '[truncated]';
+  if (value instanceof Error) {
+    // The error class name is not applicant data; 'name' stays redacted everywhere else (task names)
+    const { name, ...rest } = serializeError(value);
+    return { name, ...redact(rest, depth + 1) };
+  }
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = REDACT_KEYS.has(normKey(k)) && v !== null && v !== undefined && v !== '' ? '[redacted]' : redact(v, depth + 1);
+  }
+  return out;
+}
+
+function write(level, bindings, event, fields) {
+  if (LEVELS[level] < LOG_LEVEL) return;
+  const ctx = context.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    event,
+    ...(ctx?.requestId ? { requestId: ctx.requestId } : {}),
+    ...redact(bindings),
+    ...redact(fields instanceof Error ? { err: fields } : fields || {})
+  };
+  process.stdout.write(JSON.stringify(entry) + '\n');
+}
+
+/** Logger with fixed fields (e.g. { component: 'outbox' }) merged into every line */
+function createLogger(bindings = {}) {
+  const at = level => (event, fields) => write(level, bindings, event, fields);
+  return {
+    debug: at('debug'),
+    info: at('info'),
+    warn: at('warn'),
+    error: at('error'),
+    child: more => createLogger({ ...bindings, ...more })
+  };
+}
+
+const logger = createLogger();
+
+// v1 /api/apply refusals answered with 200 whose status does not contain "error"
+const V1_REFUSALS = new Set(['rate_limited', 'rejected', 'captcha_failed', 'duplicate_application']);
+
+/** Error responses: any 4xx/5xx, plus the 200-status error shapes the Shopify form reads */
+function isErrorBody(res, body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return false;
+  if (res.statusCode >= 400 || body.ok === false) return true;
+  const status = String(body.status || '');
+  return /error/.test(status) || V1_REFUSALS.has(status);
+}
+
+/**
+ * Request correlation id: reuses a sane incoming X-Request-Id or makes one, echoes it in the
+ * response header, adds it to every JSON error body and scopes log lines to it.
+ * Safe to mount again later in a chain (e.g. after multer) to restore the context.
+ */
+function requestId() {
+  return (req, res, next) => {
+    if (!req.id) {
+      const incoming = req.get('x-request-id');
+      req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+      res.set('X-Request-Id', req.id);
+      const json = res.json.bind(res);
+      res.json = body => json(isErrorBody(res, body) ? { ...body, requestId: req.id } : body);
+    }
+    context.run({ requestId: req.id }, next);
+  };
+}
+
+/** Run fn with log lines tagged with the given request id (e.g. background work started by a request) */
+const withRequestId = (id, fn) => (id ? context.run({ requestId: id }, fn) : fn());
+
+module.exports = { logger, createLogger, requestId, withRequestId, redact };
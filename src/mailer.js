@@ -0,0 +1,176 @@
+/**
+ * Transactional email
+ * - SMTP via nodemailer: SMTP_HOST, SMTP_PORT (587), SMTP_SECURE (true for 465), SMTP_USER, SMTP_PASS.
+ *   No SMTP_HOST = email off (sends are dropped with a log line). Locally, point it at a
+ *   catch-all server such as Mailpit/MailHog (SMTP_HOST=localhost SMTP_PORT=1025).
+ * - MAIL_FROM (required when on), MAIL_REPLY_TO, MAIL_STAFF_TO (comma list) and
+ *   MAIL_STAFF_EVENTS (application,cohort,guarantee by default) for internal notifications
+ * - Templates: src/emails (override with EMAIL_TEMPLATES_DIR), index.json + <file>.html/.txt each,
+ *   HTML wrapped in layout.html. {{key}} is escaped in HTML; {{{key}}} is inserted as-is;
+ *   {{#key}}...{{/key}} is kept only when key has a truthy value. Every message gets {{program}}.
+ * - Messages are rendered when queued and sent by a mail outbox with retries, so an SMTP
+ *   outage never fails the API call that triggered them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { createOutbox, StepError } = require('./outbox');
+const { createLogger } = require('./logger');
+const metrics = require('./metrics');
+
+const log = createLogger({ component: 'mailer' });
+
+const STAFF_EVENTS = ['application', 'cohort', 'guarantee'];
+
+const escapeHtml = s => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+/** Fill {{#key}}..{{/key}} sections, {{key}} (escaped when html) and {{{key}}} (raw); missing values render empty */
+function fill(str, values, html) {
+  return str.replace(/\{\{#\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g, (_m, key, inner) => (values[key] ? inner : '')).replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g, (_m, raw, key) => {
+    const v = values[raw || key];
+    if (v === undefined || v === null) return '';
+    return raw || !html ? String(v) : escapeHtml(v);
+  });
+}
+
+function loadEmailTemplates(dir = process.env.EMAIL_TEMPLATES_DIR || path.join(__dirname, 'emails')) {
+  const index = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8'));
+  const layout = index.layout ? fs.readFileSync(path.join(dir, index.layout), 'utf8') : '{{{content}}}';
+  const templates = {};
+  for (const [name, t] of Object.entries(index.templates || {})) {
+    templates[name] = {
+      subject: t.subject,
+      html: fs.readFileSync(path.join(dir, `${t.file}.html`), 'utf8'),
+      text: fs.readFileSync(path.join(dir, `${t.file}.txt`), 'utf8')
+    };
+  }
+
+  /** { subject, html, text } for a template name; throws on an unknown one */
+  return function render(name, values = {}) {
+    const t = templates[name];
+    if (!t) throw new Error(`email template "${name}" is not defined in emails/index.json`);
+    return {
+      subject: fill(t.subject, values, false),
+      html: fill(layout, { ...values, content: fill(t.html, values, true) }, true),
+      text: fill(t.text, values, false)
+    };
+  };
+}
+
+const list = v => String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+
+/** SMTP replies 5xx are permanent; 4xx, timeouts and connection errors are worth retrying */
+function toStepError(e) {
+  const code = Number(e.responseCode) || undefined;
+  return new StepError(`SMTP send failed: ${e.message}`, {
+    status: code,
+    body: e.response ? { response: e.response } : undefined,
+    retryable: !(code >= 500 && code < 600)
+  });
+}
+
+function createMailer({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT || 587),
+  secure = String(process.env.SMTP_SECURE).toLowerCase() === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  from = process.env.MAIL_FROM,
+  replyTo = process.env.MAIL_REPLY_TO,
+  staffTo = list(process.env.MAIL_STAFF_TO),
+  staffEvents = process.env.MAIL_STAFF_EVENTS ? list(process.env.MAIL_STAFF_EVENTS) : STAFF_EVENTS
+} = {}) {
+  const enabled = !!host;
+  if (enabled && !from) throw new Error('MAIL_FROM is required when SMTP_HOST is set');
+  const render = loadEmailTemplates();
+  const transport = enabled && nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+    connectionTimeout: 15 * 1000,
+    greetingTimeout: 15 * 1000,
+    socketTimeout: 60 * 1000
+  });
+
+  const queue = createOutbox({
+    name: 'mail',
+    steps: [
+      {
+        name: 'send',
+        async run(item) {
+          const m = item.task;
+          try {
+            const info = await transport.sendMail({
+              from,
+              replyTo: replyTo || undefined,
+              to: m.to,
+              subject: m.subject,
+              html: m.html,
+              text: m.text,
+              attachments: item.file
+                ? [{ filename: item.file.originalname, path: item.file.path, contentType: item.file.mimetype }]
+                : undefined
+            });
+            metrics.emailsSent.inc({ template: m.template, result: 'sent' });
+            log.info('mail.sent', { mailId: item.id, template: m.template, messageId: info.messageId });
+            return { messageId: info.messageId };
+          } catch (e) {
+            metrics.emailsSent.inc({ template: m.template, result: 'failed' });
+            throw toStepError(e);
+          }
+        }
+      }
+    ]
+  });
+
+  /**
+   * Render and queue one message, then try to send it in the background.
+   * attachment: { buffer, filename, mimetype } (written into the queue, so it outlives the caller's temp files)
+   * Returns the queued item, or null when email is off or there is no recipient.
+   */
+  function send(template, { to, values, attachment, requestId } = {}) {
+    const recipients = Array.isArray(to) ? to.filter(Boolean) : list(to);
+    if (!enabled || !recipients.length) {
+      log.debug('mail.skipped', { template, reason: enabled ? 'no_recipient' : 'disabled' });
+      return null;
+    }
+    let item;
+    try {
+      item = queue.enqueue({
+        requestId,
+        task: { template, to: recipients, ...render(template, values) },
+        file: attachment
+          ? { buffer: attachment.buffer, originalname: attachment.filename, mimetype: attachment.mimetype, size: attachment.buffer.length }
+          : null,
+        meta: { template }
+      });
+    } catch (e) {
+      log.error('mail.enqueue_failed', { template, err: e });
+      return null;
+    }
+    log.info('mail.queued', { mailId: item.id, template });
+    queue.deliver(item.id).catch(e => log.error('mail.deliver_error', { mailId: item.id, err: e }));
+    return item;
+  }
+
+  /** Internal notification for event (application | cohort | guarantee) to MAIL_STAFF_TO, if enabled for it */
+  function notifyStaff(event, template, opts = {}) {
+    if (!staffEvents.includes(event)) return null;
+    return send(template, { ...opts, to: staffTo });
+  }
+
+  return {
+    enabled,
+    send,
+    notifyStaff,
+    start: () => enabled && queue.start(),
+    stop: queue.stop,
+    get: queue.get,
+    list: queue.list,
+    replay: queue.replay
+  };
+}
+
+module.exports = { createMailer, loadEmailTemplates, fill };
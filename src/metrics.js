@@ -0,0 +1,166 @@
+/**
+ * Prometheus metrics (text exposition format 0.0.4)
+ * - Small in-process registry: counters, histograms and gauges read at scrape time
+ * - Label values are kept low-cardinality: routes use the Express pattern, ClickUp
+ *   endpoints have their ids replaced with ":id"
+ */
+
+const registry = new Map();
+
+const escape = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelString(names, values, extra = '') {
+  const parts = names.map((n, i) => `${n}="${escape(values[i] ?? '')}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) throw new Error(`metric ${metric.name} already registered`);
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+const keyOf = (labelNames, labels = {}) => labelNames.map(n => labels[n] ?? '');
+
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+  return register({
+    name, help, type: 'counter',
+    inc(labels, by = 1) {
+      const values = keyOf(labelNames, labels);
+      const k = JSON.stringify(values);
+      const cur = series.get(k) || { values, value: 0 };
+      cur.value += by;
+      series.set(k, cur);
+    },
+    lines: () => [...series.values()].map(s => `${name}${labelString(labelNames, s.values)} ${s.value}`)
+  });
+}
+
+function histogram(name, help, labelNames = [], buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]) {
+  const series = new Map();
+  return register({
+    name, help, type: 'histogram',
+    observe(labels, value) {
+      const values = keyOf(labelNames, labels);
+      const k = JSON.stringify(values);
+      const cur = series.get(k) || { values, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((b, i) => { if (value <= b) cur.counts[i]++; });
+      cur.sum += value;
+      cur.count++;
+      series.set(k, cur);
+    },
+    /** Returns a function that observes the elapsed seconds when called */
+    startTimer(labels) {
+      const t0 = process.hrtime.bigint();
+      return (more = {}) => this.observe({ ...labels, ...more }, Number(process.hrtime.bigint() - t0) / 1e9);
+    },
+    lines: () => [...series.values()].flatMap(s => [
+      ...buckets.map((b, i) => `${name}_bucket${labelString(labelNames, s.values, `le="${b}"`)} ${s.counts[i]}`),
+      `${name}_bucket${labelString(labelNames, s.values, 'le="+Inf"')} ${s.count}`,
+      `${name}_sum${labelString(labelNames, s.values)} ${s.sum}`,
+      `${name}_count${labelString(labelNames, s.values)} ${s.count}`
+    ])
+  });
+}
+
+/** Gauge whose value(s) are read at scrape time: collect() -> number | [{ labels, value }] */
+function gauge(name, help, labelNames, collect) {
+  return register({
+    name, help, type: 'gauge',
+    lines() {
+      const v = collect();
+      const rows = Array.isArray(v) ? v : [{ labels: {}, value: v }];
+      return rows
+        .filter(r => Number.isFinite(r.value))
+        .map(r => `${name}${labelString(labelNames, keyOf(labelNames, r.labels))} ${r.value}`);
+    }
+  });
+}
+
+function render() {
+  const out = [];
+  for (const m of registry.values()) {
+    out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines());
+  }
+  return out.join('\n') + '\n';
+}
+
+// ---------------- Application metrics --------------------------------------
+
+const MB = 1024 * 1024;
+
+const httpRequests = counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route'],
+  [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]);
+
+const clickupRequests = counter('clickup_requests_total', 'ClickUp API calls by endpoint and HTTP status (or error code)', ['endpoint', 'status']);
+const clickupDuration = histogram('clickup_request_duration_seconds', 'ClickUp API call latency by endpoint', ['endpoint'],
+  [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]);
+
+const uploadBytes = histogram('video_upload_bytes', 'Size of applicant videos accepted, by how they arrived', ['source'],
+  [1 * MB, 5 * MB, 10 * MB, 25 * MB, 50 * MB, 100 * MB, 200 * MB, 300 * MB]);
+const uploadDuration = histogram('video_upload_duration_seconds', 'Time to push an applicant video to the primary record backend', ['result'],
+  [1, 5, 10, 30, 60, 120, 300, 600]);
+const videoChecks = counter('video_checks_total', 'Intro video inspections on /api/apply, by result (ok, unavailable or the rejection reason)', ['result']);
+
+const emailsSent = counter('emails_total', 'Transactional email send attempts, by template and result (sent, failed)', ['template', 'result']);
+
+const mirrorFailures = counter('record_mirror_failures_total', 'Writes a mirror record backend failed to apply', ['backend', 'op']);
+
+const screeningDecisions = counter('application_screening_total', 'Eligibility screening decisions for new applications', ['decision']);
+
+const mappingMisses = counter('dropdown_mapping_misses_total', 'Form answers with no matching ClickUp dropdown option', ['field']);
+
+const applications = counter('applications_total', 'Applications received, by outcome (created, merged, queued, duplicate_rejected)', ['outcome']);
+const spamRejections = counter('apply_rejections_total', 'Application-form requests turned away by the anti-spam checks, by route and reason', ['route', 'reason']);
+const webhookEvents = counter('clickup_webhook_events_total', 'ClickUp webhook deliveries, by result (accepted, ignored, duplicate, invalid_signature)', ['result']);
+const cohortSelections = counter('cohort_selections_total', 'Cohorts selected by applicants', ['cohort']);
+const paymentMethods = counter('payment_method_selections_total', 'Payment methods chosen by applicants', ['method']);
+const guaranteesSigned = counter('guarantees_signed_total', 'Job guarantees signed, by terms version', ['terms_version']);
+
+gauge('process_uptime_seconds', 'Seconds since the process started', [], () => process.uptime());
+gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], () => process.memoryUsage().rss);
+
+/** Express middleware: request count + latency, labelled with the matched route pattern */
+function httpMetrics() {
+  return (req, res, next) => {
+    const done = httpDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      done({ route });
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+  };
+}
+
+/** "GET /task/86abc/field/123" -> "GET /task/:id/field/:id" */
+function endpointLabel(endpoint) {
+  return endpoint.replace(/\/(task|list|field|team|comment|attachment)\/[^/?]+/g, '/$1/:id');
+}
+
+module.exports = {
+  counter,
+  histogram,
+  gauge,
+  render,
+  httpMetrics,
+  endpointLabel,
+  clickupRequests,
+  clickupDuration,
+  uploadBytes,
+  uploadDuration,
+  videoChecks,
+  emailsSent,
+  mirrorFailures,
+  mappingMisses,
+  applications,
+  spamRejections,
+  webhookEvents,
+  screeningDecisions,
+  cohortSelections,
+  paymentMethods,
+  guaranteesSigned
+};
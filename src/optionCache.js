@@ -0,0 +1,86 @@
+/**
+ * Dropdown option cache (fieldId -> [{ id, name, orderindex }])
+ * - Fresh for OPTION_CACHE_TTL_MS; after that readers get the current map while
+ *   a background refresh runs (stale-while-revalidate)
+ * - Concurrent refreshes share one in-flight load (single-flight)
+ * - A finished load swaps the whole map at once, so readers never see a half-filled cache;
+ *   a failed load keeps the previous map
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'options' });
+
+function createOptionCache({ load, onLoad, ttlMs = Number(process.env.OPTION_CACHE_TTL_MS || 10 * 60 * 1000) }) {
+  let map = new Map();
+  let loadedAt = 0;
+  let inFlight = null;
+  let lastError = null;
+
+  /** Fetch fields and swap the map in; resolves even on failure (check stats().lastError) */
+  function refresh() {
+    if (inFlight) return inFlight;
+    inFlight = (async () => {
+      try {
+        const fields = await load();
+        const next = new Map();
+        fields.forEach(f => {
+          if (Array.isArray(f.type_config?.options)) {
+            next.set(f.id, f.type_config.options.map(o => ({ id: o.id, name: o.name, orderindex: o.orderindex })));
+          }
+        });
+        map = next;
+        loadedAt = Date.now();
+        lastError = null;
+        if (onLoad) onLoad(fields, next);
+      } catch (e) {
+        lastError = { message: e?.message || String(e), at: new Date().toISOString() };
+        log.warn('options.refresh_failed', { err: e });
+      } finally {
+        inFlight = null;
+      }
+      return map;
+    })();
+    return inFlight;
+  }
+
+  /**
+   * Wait only when nothing was ever loaded (for at most waitMs when given; the load carries on
+   * after that); otherwise revalidate in the background if stale
+   */
+  async function ensureFresh({ waitMs } = {}) {
+    if (!loadedAt) {
+      if (!waitMs) return refresh();
+      let timer;
+      const gaveUp = new Promise(resolve => { timer = setTimeout(() => resolve(map), waitMs); });
+      return Promise.race([refresh(), gaveUp]).finally(() => clearTimeout(timer));
+    }
+    if (Date.now() - loadedAt > ttlMs) refresh();
+    return map;
+  }
+
+  function stats() {
+    return {
+      loadedAt: loadedAt ? new Date(loadedAt).toISOString() : null,
+      ageMs: loadedAt ? Date.now() - loadedAt : null,
+      ttlMs,
+      stale: !loadedAt || Date.now() - loadedAt > ttlMs,
+      fieldCount: map.size,
+      refreshing: !!inFlight,
+      lastError
+    };
+  }
+
+  return {
+    refresh,
+    ensureFresh,
+    stats,
+    get: id => map.get(id),
+    has: id => map.has(id),
+    get loaded() { return loadedAt > 0; },
+    forEach: fn => map.forEach(fn),
+    get size() { return map.size; }
+  };
+}
+
+module.exports = { createOptionCache };
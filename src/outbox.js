@@ -0,0 +1,232 @@
+/**
+ * Submission outbox
+ * - Every application is journaled (answers + video on disk) before ClickUp is touched
+ * - Delivery runs as named steps (create task, upload video, set URL field);
+ *   finished steps are never re-run, so a retry resumes where the last one stopped
+ * - A background worker retries due items with exponential backoff; it only reads the items still
+ *   open (pending / delivering), tracked in memory, so delivered history does not slow it down
+ * - Each createOutbox({ name }) has its own journal; the mail queue (src/mailer.js) is one too
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createJournal } = require('./journal');
+const { createLogger, withRequestId } = require('./logger');
+
+const baseLog = createLogger({ component: 'outbox' });
+
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 8);
+const BASE_DELAY_MS = Number(process.env.OUTBOX_BASE_DELAY_MS || 30 * 1000);
+const MAX_DELAY_MS = Number(process.env.OUTBOX_MAX_DELAY_MS || 60 * 60 * 1000);
+const POLL_MS = Number(process.env.OUTBOX_POLL_MS || 15 * 1000);
+
+/** Error thrown by a step; retryable=false parks the item as failed right away */
+class StepError extends Error {
+  constructor(message, { status, body, retryable = true } = {}) {
+    super(message);
+    this.name = 'StepError';
+    this.status = status;
+    this.body = body;
+    this.retryable = retryable;
+  }
+}
+
+/** Delay before attempt n+1 (n >= 1), with +/-20% jitter */
+function backoff(attempts) {
+  const d = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1));
+  return Math.round(d * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * steps: [{ name, run(sub, results) -> result }]
+ * results holds the output of earlier steps keyed by name.
+ */
+function createOutbox({ steps, name = 'outbox' }) {
+  const log = baseLog.child({ queue: name });
+  const journal = createJournal(name);
+  const filesDir = path.join(journal.dir, 'files');
+  const inFlight = new Map();
+  // Ids of items not yet delivered or given up on: all the worker ever needs to look at
+  const open = new Set();
+  let timer = null;
+
+  /** Keep `open` in step with a record just written; returns the record */
+  function track(rec) {
+    if (!rec) return rec;
+    if (rec.status === 'pending' || rec.status === 'delivering') open.add(rec.id);
+    else open.delete(rec.id);
+    return rec;
+  }
+
+  /** Persist a new submission; file = { path, originalname, mimetype, size } is moved under the outbox */
+  function enqueue({ task, file, meta, requestId }) {
+    const id = crypto.randomUUID();
+    let stored = null;
+    if (file) {
+      const dir = path.join(filesDir, id);
+      fs.mkdirSync(dir, { recursive: true });
+      const dest = path.join(dir, path.basename(file.originalname || 'video.mp4').replace(/[^\w.-]+/g, '_'));
+      if (file.buffer) fs.writeFileSync(dest, file.buffer);
+      else moveFile(file.path, dest);
+      stored = { path: dest, originalname: file.originalname, mimetype: file.mimetype, size: file.size };
+    }
+    const now = new Date().toISOString();
+    return track(journal.put({
+      id,
+      createdAt: now,
+      updatedAt: now,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      requestId: requestId || null,
+      task,
+      file: stored,
+      meta: meta || {},
+      steps: Object.fromEntries(steps.map(s => [s.name, { status: 'pending' }]))
+    }));
+  }
+
+  /** Run all outstanding steps for one submission (single-flight per id) */
+  function deliver(id) {
+    if (inFlight.has(id)) return inFlight.get(id);
+    // Retries from the worker log under the request id that submitted the item
+    const p = withRequestId(journal.get(id)?.requestId, () => runSteps(id)).finally(() => inFlight.delete(id));
+    inFlight.set(id, p);
+    return p;
+  }
+
+  async function runSteps(id) {
+    let sub = journal.get(id);
+    if (!sub || sub.status === 'delivered') return sub;
+
+    sub = track(journal.update(id, { status: 'delivering', attempts: sub.attempts + 1 }));
+    const results = Object.fromEntries(Object.entries(sub.steps).map(([k, v]) => [k, v.result]));
+
+    for (const step of steps) {
+      if (sub.steps[step.name]?.status === 'done') continue;
+      try {
+        const result = await step.run(sub, results);
+        results[step.name] = result;
+        log.info('outbox.step_done', { submissionId: id, step: step.name, attempt: sub.attempts });
+        sub = journal.update(id, cur => ({
+          ...cur,
+          steps: { ...cur.steps, [step.name]: { status: 'done', at: new Date().toISOString(), result, previous: cur.steps[step.name]?.previous } }
+        }));
+      } catch (e) {
+        const error = { step: step.name, code: e.code, message: e.message, status: e.status, body: e.body, at: new Date().toISOString() };
+        const giveUp = e.retryable === false || sub.attempts >= MAX_ATTEMPTS;
+        log[giveUp ? 'error' : 'warn'](giveUp ? 'outbox.gave_up' : 'outbox.step_failed', {
+          submissionId: id, step: step.name, attempt: sub.attempts, err: e
+        });
+        return track(journal.update(id, cur => ({
+          ...cur,
+          status: giveUp ? 'failed' : 'pending',
+          lastError: error,
+          nextAttemptAt: giveUp ? null : new Date(Date.now() + backoff(cur.attempts)).toISOString(),
+          steps: { ...cur.steps, [step.name]: { status: 'failed', at: error.at, error, previous: cur.steps[step.name]?.previous } }
+        })));
+      }
+    }
+
+    // All steps done: the video no longer needs to live on our disk
+    if (sub.file?.path) {
+      try { fs.rmSync(path.dirname(sub.file.path), { recursive: true, force: true }); } catch (_) {}
+    }
+    log.info('outbox.delivered', { submissionId: id, attempts: sub.attempts });
+    return track(journal.update(id, { status: 'delivered', lastError: null, nextAttemptAt: null, deliveredAt: new Date().toISOString() }));
+  }
+
+  /** Latest state without triggering a delivery (waits if one is running) */
+  function current(id) {
+    return inFlight.get(id) || Promise.resolve(journal.get(id));
+  }
+
+  /** Manually re-queue a failed (or stuck) submission and run it now */
+  function replay(id) {
+    const sub = journal.get(id);
+    if (!sub) return null;
+    if (sub.status === 'delivered') return Promise.resolve(sub);
+    track(journal.update(id, { status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() }));
+    return deliver(id);
+  }
+
+  /**
+   * Operator re-run of one step (e.g. a failed video upload) against the task an earlier step created.
+   * The step goes back to pending (its last outcome kept as "previous"), then every step not done runs;
+   * later steps that are already done are not repeated. null for an unknown id or step.
+   */
+  function rerun(id, stepName) {
+    const sub = journal.get(id);
+    if (!sub || !sub.steps[stepName]) return null;
+    track(journal.update(id, cur => ({
+      ...cur,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      steps: { ...cur.steps, [stepName]: { status: 'pending', previous: cur.steps[stepName] } }
+    })));
+    log.info('outbox.step_rerun', { submissionId: id, step: stepName });
+    return deliver(id);
+  }
+
+  /** Deliver every pending item whose backoff has elapsed, one at a time */
+  async function tick() {
+    const now = Date.now();
+    const due = [...open].map(id => journal.get(id))
+      .filter(s => s?.status === 'pending' && s.nextAttemptAt && Date.parse(s.nextAttemptAt) <= now)
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    for (const sub of due) {
+      try { await deliver(sub.id); } catch (e) { log.error('outbox.worker_error', { submissionId: sub.id, err: e }); }
+    }
+  }
+
+  function start() {
+    // One full scan at boot: anything left "delivering" by a crash/restart goes back in the queue
+    for (const s of journal.list(x => x.status === 'pending' || x.status === 'delivering')) {
+      track(s.status === 'delivering' && !inFlight.has(s.id)
+        ? journal.update(s.id, { status: 'pending', nextAttemptAt: new Date().toISOString() })
+        : s);
+    }
+
+    let busy = false;
+    timer = setInterval(async () => {
+      if (busy) return;
+      busy = true;
+      try { await tick(); } finally { busy = false; }
+    }, POLL_MS);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    enqueue,
+    deliver,
+    current,
+    replay,
+    rerun,
+    busy: id => inFlight.has(id),
+    start,
+    stop,
+    get: journal.get,
+    list: journal.list
+  };
+}
+
+/** rename(), falling back to copy+unlink across devices (e.g. /tmp -> volume) */
+function moveFile(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+}
+
+module.exports = { createOutbox, StepError };
@@ -0,0 +1,119 @@
+/**
+ * API error responses
+ * - /api (v1) keeps the legacy status codes and bodies the live Shopify form parses
+ * - /api/v2 answers with RFC 7807 application/problem+json: proper HTTP status and a
+ *   stable machine-readable `code` (listed below, served at GET /api/v2/problems)
+ */
+
+const TYPE_BASE = '/api/v2/problems';
+
+/** code -> [HTTP status, title] */
+const PROBLEMS = {
+  // request / form
+  validation_failed:          [422, 'One or more fields are invalid'],
+  video_too_large:            [413, 'Video too large'],
+  unsupported_video_type:     [415, 'File must be a video'],
+  video_check_unavailable:    [503, 'The video could not be checked right now; try again later'],
+  duplicate_application:      [409, 'An application from this applicant already exists'],
+  idempotency_key_reused:     [422, 'Idempotency-Key was already used for a different application'],
+  bad_request:                [400, 'Malformed request'],
+  rate_limited:               [429, 'Too many submissions; try again later'],
+  submission_rejected:        [400, 'Submission looks automated'],
+  captcha_required:           [400, 'CAPTCHA token is missing'],
+  captcha_failed:             [403, 'CAPTCHA verification failed'],
+  origin_not_allowed:         [403, 'Requests from this website are not allowed'],
+  not_found:                  [404, 'No such endpoint'],
+
+  // operator auth
+  unauthorized:               [401, 'Admin key missing or wrong'],
+  admin_not_configured:       [503, 'ADMIN_API_KEY is not configured on the server'],
+
+  // applicant tokens
+  invalid_token:              [401, 'Applicant token missing or invalid'],
+  token_expired:              [401, 'Applicant token expired'],
+  token_task_mismatch:        [403, 'Token does not belong to this task'],
+  token_email_mismatch:       [403, 'Token does not belong to this email'],
+  token_program_mismatch:     [403, 'Token belongs to another program'],
+  token_subject_required:     [422, 'taskId, customTaskId or submissionId is required'],
+  token_secret_not_configured: [503, 'Applicant tokens are not configured on the server'],
+  application_pending:        [409, 'Application is still being delivered; try again shortly'],
+
+  // chunked uploads
+  upload_not_found:           [404, 'Upload not found or expired'],
+  upload_state_conflict:      [409, 'Upload is not in a state that allows this'],
+  upload_offset_mismatch:     [409, 'Upload-Offset does not match the stored offset'],
+  upload_busy:                [409, 'Another chunk is being written'],
+  upload_chunk_too_large:     [413, 'Chunk exceeds the declared upload size'],
+  upload_aborted:             [400, 'Client aborted the chunk'],
+  upload_incomplete:          [409, 'Upload is missing bytes'],
+
+  // cohorts / payment
+  field_not_configured:       [503, 'A required ClickUp field is not configured on the server'],
+  cohort_required:            [422, 'cohort is required'],
+  unknown_cohort:             [422, 'Unknown cohort'],
+  cohort_not_open:            [409, 'Enrollment for this cohort has not opened'],
+  cohort_closed:              [409, 'Enrollment for this cohort has closed'],
+  cohort_full:                [409, 'This cohort is full'],
+  cohort_unconfigured:        [409, 'This cohort is not configured'],
+  unknown_payment_method:     [422, 'Unknown payment method'],
+
+  // guarantee
+  terms_not_configured:       [503, 'Guarantee terms are not configured on the server'],
+  terms_version_required:     [422, 'termsVersion is required'],
+  unknown_terms_version:      [422, 'Unknown terms version'],
+  terms_version_retired:      [409, 'This terms version can no longer be signed'],
+  full_name_required:         [422, 'fullName is required'],
+  terms_text_required:        [422, 'termsText is required until the server has a current terms version'],
+  terms_values_missing:       [409, 'Terms cannot be signed until every placeholder has a value (see missing)'],
+  task_not_found:             [404, 'ClickUp task not found'],
+  bad_signature:              [422, 'signaturePng must be a PNG data URL'],
+  signature_not_found:        [404, 'Signature not found'],
+  pdf_body_required:          [400, 'Send the PDF as the request body (application/pdf)'],
+
+  // application status
+  email_required:             [422, 'A valid email is required'],
+  status_link_not_configured: [503, 'Status links need SMTP, STATUS_LINK_URL and applicant tokens configured on the server'],
+
+  // upstream / server
+  clickup_update_failed:      [502, 'ClickUp rejected the update'],
+  clickup_unavailable:        [502, 'ClickUp request failed'],
+  backend_unavailable:        [502, 'Record backend request failed'],
+  server_error:               [500, 'Internal server error']
+};
+
+/** Express middleware: tag the request with the API version it came in on */
+const apiVersion = v => (req, _res, next) => {
+  req.apiVersion = v;
+  next();
+};
+
+/** problem+json response; extra fields (errors, cohort, ...) become RFC 7807 extension members */
+function sendProblem(req, res, code, { detail, status, ...ext } = {}) {
+  const [defStatus, title] = PROBLEMS[code] || PROBLEMS.server_error;
+  const st = status || defStatus;
+  return res.status(st).type('application/problem+json').json({
+    type: `${TYPE_BASE}/${code}`,
+    title,
+    status: st,
+    code,
+    ...(detail ? { detail } : {}),
+    instance: req.originalUrl.split('?')[0],
+    ...ext
+  });
+}
+
+/**
+ * Error in the caller's API version.
+ * legacy: { status, body } sent unchanged to v1; problem: { detail, ...extensions } for v2.
+ */
+function sendError(req, res, code, legacy, problem = {}) {
+  if (req.apiVersion >= 2) return sendProblem(req, res, code, problem);
+  return res.status(legacy.status ?? 200).json(legacy.body);
+}
+
+/** Catalog for GET /api/v2/problems */
+function problemCatalog() {
+  return Object.entries(PROBLEMS).map(([code, [status, title]]) => ({ type: `${TYPE_BASE}/${code}`, code, status, title }));
+}
+
+module.exports = { PROBLEMS, apiVersion, sendProblem, sendError, problemCatalog };
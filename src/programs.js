@@ -0,0 +1,81 @@
+/**
+ * Programs served from one deployment
+ * - src/programs.json (override with PROGRAMS_FILE): "default" + one entry per program id.
+ *   Every /api and /api/v2 route is also served as /api/<id>/... and /api/v2/<id>/...;
+ *   the unprefixed routes belong to the default program.
+ * - Per program (file paths are relative to the config file):
+ *     name                 display name
+ *     listIdEnv | listId   env var holding the ClickUp list id, or the id itself
+ *     fields               field mapping (fields.json format, with its own CF_* env names)
+ *     cohorts              cohort metadata (cohorts.json format)
+ *     terms                guarantee terms directory (index.json + texts; the PDF title is per version)
+ *     scoring              screening rules (scoring.json format)
+ *     schema               form rules in the validation.js format; omitted = the built-in APPLY_SCHEMA
+ *     paymentOptions       { method: CF_PAYMENT_METHOD option id }
+ *     video                required | optional | none (intro video on /apply)
+ *     guaranteeFilePrefix  signed PDF file name prefix
+ * - The default program still honours the single-program overrides
+ *   FIELD_MAP_FILE, COHORTS_FILE, TERMS_DIR and SCORING_FILE
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadFieldMap, resolveFieldIds } = require('./fieldMap');
+const { loadCohortConfig } = require('./cohorts');
+const { loadTerms } = require('./terms');
+const { loadScoringRules } = require('./scoring');
+const { APPLY_SCHEMA } = require('./validation');
+
+const VIDEO = ['required', 'optional', 'none'];
+// First path segments of the unprefixed API; a program id must not shadow them
+const RESERVED = ['v1', 'v2', 'apply', 'uploads', 'cohorts', 'cohort', 'payment-method', 'guarantee', 'guarantee-sign',
+  'application', 'applicant-token', 'problems'];
+
+function loadProgram(id, p, { dir, isDefault, env }) {
+  const where = `programs.json: programs.${id}`;
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) throw new Error(`${where}: id must be lower-case letters, digits and dashes`);
+  if (RESERVED.includes(id)) throw new Error(`${where}: "${id}" is an API route name and cannot be a program id`);
+  const video = p.video || 'required';
+  if (!VIDEO.includes(video)) throw new Error(`${where}: video must be one of ${VIDEO.join(', ')}`);
+
+  // The default program keeps the older per-file env overrides
+  const file = (key, envName) => (isDefault && env[envName]) || (p[key] ? path.resolve(dir, p[key]) : undefined);
+  const fieldMap = loadFieldMap(file('fields', 'FIELD_MAP_FILE'));
+  const schema = p.schema ? JSON.parse(fs.readFileSync(path.resolve(dir, p.schema), 'utf8')) : APPLY_SCHEMA;
+  return {
+    id,
+    isDefault,
+    name: p.name || id,
+    listId: p.listId || env[p.listIdEnv || 'CLICKUP_LIST_ID'] || undefined,
+    fieldMap,
+    CF: resolveFieldIds(fieldMap, env),
+    cohorts: loadCohortConfig(file('cohorts', 'COHORTS_FILE')),
+    terms: loadTerms(file('terms', 'TERMS_DIR')),
+    scoring: loadScoringRules(file('scoring', 'SCORING_FILE')),
+    schema,
+    customSchema: !!p.schema,
+    paymentOptions: { ...p.paymentOptions },
+    video,
+    guaranteeFilePrefix: p.guaranteeFilePrefix || `${id.toUpperCase()}-Job-Guarantee`
+  };
+}
+
+/** { default, get(id) (null if unknown), list() } */
+function loadPrograms(file = process.env.PROGRAMS_FILE || path.join(__dirname, 'programs.json'), env = process.env) {
+  const cfg = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const dir = path.dirname(file);
+  const programs = new Map();
+  for (const [id, p] of Object.entries(cfg.programs || {})) {
+    programs.set(id, loadProgram(id, p, { dir, isDefault: id === cfg.default, env }));
+  }
+  if (!programs.size) throw new Error('programs.json: no programs defined');
+  const fallback = programs.get(cfg.default);
+  if (!fallback) throw new Error(`programs.json: default program "${cfg.default}" is not defined`);
+  return {
+    default: fallback,
+    get: id => (id ? programs.get(id) || null : fallback),
+    list: () => [...programs.values()]
+  };
+}
+
+module.exports = { loadPrograms };
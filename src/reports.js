@@ -0,0 +1,202 @@
+/**
+ * Admissions funnel reporting over the ClickUp list
+ * - One row per task: created date, status/stage, cohort, "heard about us" source, payment method,
+ *   guarantee checkbox. Dropdown values are resolved to labels by the caller (the program's option cache).
+ * - Funnel steps, each counted on its own:
+ *     applied          every task in range
+ *     approved         status in a stage with nextSteps (src/stages.json: accepted, enrolled)
+ *     cohortChosen     CF_COHORT set
+ *     paymentChosen    CF_PAYMENT_METHOD set (also broken down by method)
+ *     guaranteeSigned  CF_GUARANTEE_SIGNED checked
+ *   Conversion rates are against the previous step ("overall" is guaranteeSigned / applied).
+ * - Filters: from / to (YYYY-MM-DD, task creation date, UTC, inclusive), cohort, source (labels,
+ *   case-insensitive). groupBy: cohort | source | month | week | none
+ * - Exports leave out name, email, phone and location unless PII is asked for
+ */
+
+const FUNNEL_STEPS = ['applied', 'approved', 'cohortChosen', 'paymentChosen', 'guaranteeSigned'];
+const PAYMENT_METHODS = ['pay_in_full', 'pay_as_you_go', 'climb_loan'];
+const GROUP_BY = ['none', 'cohort', 'source', 'month', 'week'];
+
+const COLUMNS = [
+  { key: 'taskId', label: 'Task ID' },
+  { key: 'customTaskId', label: 'Application ID' },
+  { key: 'createdAt', label: 'Applied at' },
+  { key: 'status', label: 'Status' },
+  { key: 'stage', label: 'Stage' },
+  { key: 'approved', label: 'Approved' },
+  { key: 'cohort', label: 'Cohort' },
+  { key: 'source', label: 'Heard about us' },
+  { key: 'paymentMethod', label: 'Payment method' },
+  { key: 'guaranteeSigned', label: 'Guarantee signed' },
+  { key: 'decision', label: 'Screening decision' },
+  { key: 'score', label: 'Screening score' }
+];
+const PII_COLUMNS = [
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'location', label: 'Location' }
+];
+
+const norm = s => String(s ?? '').trim().toLowerCase();
+const isChecked = v => v === true || norm(v) === 'true';
+
+/** "Pay in full" -> "pay_in_full" (option ids that are not in the known map) */
+const methodKey = label => norm(label).replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || null;
+
+/**
+ * Report row for a listed task.
+ * ctx: { cf (CF ids), stages (loadStages()), label(fieldId, task) -> option label or raw value,
+ *        paymentKeys: { optionId: method } }
+ */
+function reportRow(task, { cf, stages, label, paymentKeys = {} }) {
+  const raw = fieldId => (task.custom_fields || []).find(f => f.id === fieldId)?.value;
+  const status = norm(task.status?.status ?? task.status);
+  const stage = stages.byStatus.get(status) || stages.fallback;
+  const created = Number(task.date_created);
+
+  const paymentLabel = cf.PAYMENT_METHOD ? label(cf.PAYMENT_METHOD, task) : null;
+  const paymentRaw = cf.PAYMENT_METHOD ? raw(cf.PAYMENT_METHOD) : null;
+  const score = cf.SCORE ? raw(cf.SCORE) : null;
+
+  return {
+    taskId: task.id,
+    customTaskId: task.custom_id || null,
+    createdAt: Number.isFinite(created) && created > 0 ? new Date(created).toISOString() : null,
+    status: status || null,
+    stage: stage.id,
+    approved: !!stage.nextSteps,
+    cohort: cf.COHORT ? label(cf.COHORT, task) : null,
+    source: cf.HEARD_ABOUT ? label(cf.HEARD_ABOUT, task) : null,
+    paymentMethod: paymentLabel ? paymentKeys[paymentRaw] || methodKey(paymentLabel) : null,
+    guaranteeSigned: cf.GUARANTEE_SIGNED ? isChecked(raw(cf.GUARANTEE_SIGNED)) : false,
+    decision: cf.DECISION ? label(cf.DECISION, task) : null,
+    score: score === null || score === undefined || score === '' ? null : Number(score),
+    name: task.name || null,
+    email: cf.EMAIL ? raw(cf.EMAIL) || null : null,
+    phone: cf.PHONE ? raw(cf.PHONE) || null : null,
+    location: cf.LOCATION ? label(cf.LOCATION, task) : null
+  };
+}
+
+/** Validated filters from a query string; throws Error with .code on bad input */
+function parseReportQuery(q = {}) {
+  const fail = code => Object.assign(new Error(code), { code });
+  const day = (v, endOfDay) => {
+    if (!v) return null;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(v))) throw fail('invalid_date');
+    const t = Date.parse(`${v}T00:00:00Z`);
+    if (Number.isNaN(t)) throw fail('invalid_date');
+    return endOfDay ? t + 24 * 60 * 60 * 1000 - 1 : t;
+  };
+  const from = day(q.from, false);
+  const to = day(q.to, true);
+  if (from !== null && to !== null && from > to) throw fail('invalid_date_range');
+  const groupBy = norm(q.groupBy || 'none');
+  if (!GROUP_BY.includes(groupBy)) throw fail('invalid_group_by');
+  return {
+    from: q.from || null,
+    to: q.to || null,
+    fromMs: from,
+    toMs: to,
+    cohort: q.cohort ? norm(q.cohort) : null,
+    source: q.source ? norm(q.source) : null,
+    groupBy
+  };
+}
+
+function filterRows(rows, f) {
+  return rows.filter(r => {
+    const t = r.createdAt ? Date.parse(r.createdAt) : null;
+    if (f.fromMs !== null && (t === null || t < f.fromMs)) return false;
+    if (f.toMs !== null && (t === null || t > f.toMs)) return false;
+    if (f.cohort && norm(r.cohort) !== f.cohort) return false;
+    if (f.source && norm(r.source) !== f.source) return false;
+    return true;
+  });
+}
+
+const rate = (n, d) => (d ? Math.round((n / d) * 10000) / 10000 : null);
+
+/** Funnel counts, payment breakdown and step-to-step conversion for a set of rows */
+function funnel(rows) {
+  const counts = {
+    applied: rows.length,
+    approved: rows.filter(r => r.approved).length,
+    cohortChosen: rows.filter(r => r.cohort).length,
+    paymentChosen: rows.filter(r => r.paymentMethod).length,
+    guaranteeSigned: rows.filter(r => r.guaranteeSigned).length
+  };
+  const paymentMethods = Object.fromEntries(PAYMENT_METHODS.map(m => [m, 0]));
+  for (const r of rows) if (r.paymentMethod) paymentMethods[r.paymentMethod] = (paymentMethods[r.paymentMethod] || 0) + 1;
+
+  const conversion = {};
+  FUNNEL_STEPS.slice(1).forEach((step, i) => (conversion[step] = rate(counts[step], counts[FUNNEL_STEPS[i]])));
+  conversion.overall = rate(counts.guaranteeSigned, counts.applied);
+  return { ...counts, paymentMethods, conversion };
+}
+
+/** ISO week start (Monday) as YYYY-MM-DD */
+function weekOf(iso) {
+  const d = new Date(iso);
+  d.setUTCHours(0, 0, 0, 0);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+function groupKey(row, groupBy) {
+  switch (groupBy) {
+    case 'cohort': return row.cohort || '(none)';
+    case 'source': return row.source || '(none)';
+    case 'month': return row.createdAt ? row.createdAt.slice(0, 7) : '(unknown)';
+    case 'week': return row.createdAt ? weekOf(row.createdAt) : '(unknown)';
+    default: return null;
+  }
+}
+
+/** { total, groups: [{ key, ...funnel }] } for filtered rows; groups sorted by key */
+function funnelReport(rows, f) {
+  const hits = filterRows(rows, f);
+  const out = { total: funnel(hits), groups: [] };
+  if (f.groupBy === 'none') return out;
+  const byKey = new Map();
+  for (const r of hits) {
+    const k = groupKey(r, f.groupBy);
+    if (!byKey.has(k)) byKey.set(k, []);
+    byKey.get(k).push(r);
+  }
+  out.groups = [...byKey.keys()].sort().map(key => ({ key, ...funnel(byKey.get(key)) }));
+  return out;
+}
+
+/** Columns for an export (PII only when asked for) */
+const exportColumns = pii => (pii ? [...COLUMNS, ...PII_COLUMNS] : COLUMNS);
+
+/**
+ * RFC 4180 CSV. Cells that a spreadsheet would run as a formula (=, +, -, @) are prefixed with '
+ * since the values come from a public form.
+ */
+function toCsv(columns, rows) {
+  const esc = v => {
+    if (v === null || v === undefined) return '';
+    let s = String(v);
+    if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [columns.map(c => esc(c.label)).join(',')];
+  for (const r of rows) lines.push(columns.map(c => esc(r[c.key])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  reportRow,
+  parseReportQuery,
+  filterRows,
+  funnel,
+  funnelReport,
+  exportColumns,
+  toCsv,
+  FUNNEL_STEPS,
+  PAYMENT_METHODS
+};
@@ -0,0 +1,94 @@
+/**
+ * Eligibility screening for new applications
+ * - Rules live in src/scoring.json (override with SCORING_FILE)
+ * - disqualifiers: any match -> "not_eligible", whatever the score
+ * - factors: each match adds its points to the score
+ * - Decision: not_eligible (disqualified, or below notEligibleBelow) |
+ *             auto_qualified (score >= autoQualifyAt) | needs_review
+ * - Conditions on a form field (all given ones must hold, text compares are case-insensitive):
+ *     equals: "Yes" | ["A", "B"]   matches: regex (anchor it: "^yes", not "yes")   present: true   minLength: n
+ * - examples: { match: [values], noMatch: [values] } are checked at load, so a loose pattern
+ *   ("complete" also matching "Incomplete") fails at boot instead of mis-scoring applicants
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DECISIONS = ['auto_qualified', 'needs_review', 'not_eligible'];
+const CONDITIONS = ['equals', 'matches', 'present', 'minLength'];
+
+function checkRule(kind, r, i) {
+  const where = `scoring.json: ${kind}[${i}]`;
+  if (!r.field) throw new Error(`${where} needs a "field"`);
+  if (!CONDITIONS.some(c => r[c] !== undefined)) throw new Error(`${where} needs one of ${CONDITIONS.join(', ')}`);
+  if (!r.reason) throw new Error(`${where} needs a "reason"`);
+  if (kind === 'factors' && !Number.isFinite(r.points)) throw new Error(`${where} needs numeric "points"`);
+  const rule = { ...r, re: r.matches ? new RegExp(r.matches, 'i') : null };
+  for (const v of r.examples?.match || []) {
+    if (!ruleMatches(rule, { [r.field]: v })) throw new Error(`${where} should match example "${v}"`);
+  }
+  for (const v of r.examples?.noMatch || []) {
+    if (ruleMatches(rule, { [r.field]: v })) throw new Error(`${where} should not match example "${v}"`);
+  }
+  return rule;
+}
+
+function loadScoringRules(file = process.env.SCORING_FILE || path.join(__dirname, 'scoring.json')) {
+  const cfg = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const decisions = { ...cfg.decisions };
+  for (const d of DECISIONS) if (!decisions[d]) throw new Error(`scoring.json: decisions.${d} label is missing`);
+  const factors = (cfg.factors || []).map((r, i) => checkRule('factors', r, i));
+  return {
+    autoQualifyAt: cfg.autoQualifyAt ?? null,
+    notEligibleBelow: cfg.notEligibleBelow ?? null,
+    decisions,
+    disqualifiers: (cfg.disqualifiers || []).map((r, i) => checkRule('disqualifiers', r, i)),
+    factors,
+    maxScore: factors.reduce((n, f) => n + Math.max(0, f.points), 0)
+  };
+}
+
+const norm = v => String(v ?? '').trim().toLowerCase();
+
+function ruleMatches(r, payload) {
+  const v = String(payload[r.field] ?? '').trim();
+  if (r.present !== undefined && !!v !== !!r.present) return false;
+  if (r.equals !== undefined && ![].concat(r.equals).some(e => norm(e) === norm(v))) return false;
+  if (r.re && !r.re.test(v)) return false;
+  if (r.minLength !== undefined && v.length < r.minLength) return false;
+  return true;
+}
+
+/**
+ * Score a normalized /api/apply payload.
+ * Returns { score, maxScore, decision, label, disqualifiers: [reason], reasons: ["+15 Prior IT experience", ...] }
+ */
+function scoreApplication(rules, payload) {
+  const disqualifiers = rules.disqualifiers.filter(r => ruleMatches(r, payload)).map(r => r.reason);
+  const hits = rules.factors.filter(r => ruleMatches(r, payload));
+  const score = hits.reduce((n, r) => n + r.points, 0);
+
+  let decision = 'needs_review';
+  if (disqualifiers.length || (rules.notEligibleBelow != null && score < rules.notEligibleBelow)) decision = 'not_eligible';
+  else if (rules.autoQualifyAt != null && score >= rules.autoQualifyAt) decision = 'auto_qualified';
+
+  return {
+    score,
+    maxScore: rules.maxScore,
+    decision,
+    label: rules.decisions[decision],
+    disqualifiers,
+    reasons: hits.map(r => `${r.points >= 0 ? '+' : ''}${r.points} ${r.reason}`)
+  };
+}
+
+/** Markdown block for the task description */
+function formatScreening(result) {
+  const lines = [`**Eligibility screening:** ${result.label} (score ${result.score} / ${result.maxScore})`];
+  for (const d of result.disqualifiers) lines.push(`- Disqualified: ${d}`);
+  for (const r of result.reasons) lines.push(`- ${r}`);
+  if (result.decision === 'not_eligible' && !result.disqualifiers.length) lines.push('- Score below the eligibility minimum');
+  return lines.join('\n');
+}
+
+module.exports = { loadScoringRules, scoreApplication, formatScreening };
@@ -8,22 +8,56 @@
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const PDFDocument = require('pdfkit');
+const morgan = require('morgan');
 const os = require('os');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config();
-
-// WHATWG fetch + FormData/Blob for Node
-const { FormData, Blob } = globalThis;
-const fetch =
-  global.fetch ||
-  ((...args) => import('node-fetch').then(({ default: f }) => f(...args)));
+const { validate, validationError } = require('./validation');
+const { fieldIdsByKey, applyAliases, buildCustomFields, verifyFieldMap, formatReport } = require('./fieldMap');
+const { createOutbox, StepError } = require('./outbox');
+const { requireAdmin } = require('./auth');
+const { DATA_DIR } = require('./journal');
+const { createUploadStore, UploadError } = require('./uploads');
+const { createVideoInspector, formatVideoInfo } = require('./video');
+const { createIdempotencyStore, createApplicantIndex, normalizeEmail, requestFingerprint } = require('./dedupe');
+const { buildCatalog, matchCohort, publicCohort } = require('./cohorts');
+const { mintToken, verifyToken, requireApplicantToken, tokenFromRequest, loadKeys, TokenError } = require('./tokens');
+const { createClickUpClient, ClickUpError, fieldDisplayValue } = require('./clickup');
+const { startClickUpSimulator } = require('./clickupSim');
+const { createRecordStore, BackendError } = require('./backends');
+const { createMailer, fill } = require('./mailer');
+const { createEnrollmentLog, ENROLLMENT_STEPS } = require('./enrollment');
+const { createOptionCache } = require('./optionCache');
+const { renderGuaranteePdf, decodeSignaturePng, createSignatureStore, publicSignature, sha256, sha256File } = require('./guarantee');
+const { renderTerms, missingValues } = require('./terms');
+const { scoreApplication, formatScreening } = require('./scoring');
+const { loadPrograms } = require('./programs');
+const { loadStages, applicationStage } = require('./stages');
+const { createApplyLimiters, botSignal, createOriginPolicy } = require('./antispam');
+const { createCaptchaVerifier, captchaTokenFrom } = require('./captcha');
+const { reportRow, parseReportQuery, filterRows, funnelReport, exportColumns, toCsv } = require('./reports');
+const { xlsxWorkbook } = require('./xlsx');
+const { verifyWebhookSignature, createWebhookRegistry, createDeliveryLog, statusChange, loadWorkflow } = require('./webhooks');
+const { logger: log, requestId } = require('./logger');
+const metrics = require('./metrics');
+const { apiVersion, sendProblem, sendError, problemCatalog } = require('./problems');
 
 const app = express();
+// Behind Koyeb's proxy: trust one hop so req.ip is the applicant (guarantee audit trail)
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? 1));
+
+// Videos stream straight to disk (never held in memory); the outbox takes the file from there
+const MAX_VIDEO_BYTES = 300 * 1024 * 1024; // 300 MB
+const INCOMING_DIR = path.join(DATA_DIR, 'incoming');
+fs.mkdirSync(INCOMING_DIR, { recursive: true });
 const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 300 * 1024 * 1024 }, // 300 MB
+  storage: multer.diskStorage({
+    destination: INCOMING_DIR,
+    filename: (_req, _file, cb) => cb(null, `${crypto.randomUUID()}.upload`)
+  }),
+  limits: { fileSize: MAX_VIDEO_BYTES },
   fileFilter(req, file, cb) {
     // Allow if no file here; we will hard-require in the route for clear UX
     if (!file) return cb(null, true);
@@ -31,64 +65,63 @@ const upload = multer({
     return cb(new Error('INVALID_FILETYPE'));
   }
 });
+// The mimetype is only the browser's guess; ffprobe looks at what was actually uploaded (src/video.js)
+const videoChecks = createVideoInspector();
 
 // ---------------------------------------------------------------------------
 // Config
-const PORT = process.env.PORT || 8000;
-const CLICKUP_TOKEN = process.env.CLICKUP_TOKEN;
-const CLICKUP_LIST_ID = process.env.CLICKUP_LIST_ID;
-
-// Custom-field IDs from .env (and a few known hard-coded where you asked)
-const CF = {
-  ENGAGEMENT_REQ: process.env.CF_ENGAGEMENT_REQ,        // long text
-  ADDITIONAL_COMMENTS: process.env.CF_ADDITIONAL_COMMENTS, // long text
-  EMAIL: process.env.CF_EMAIL,                                   // short text
-  PHONE: process.env.CF_PHONE,                                   // short text
-  LOCATION: process.env.CF_LOCATION,                             // dropdown or text
-  OTHER_LOCATION: process.env.CF_OTHER_LOCATION,                 // short text
-  WORK_ELIGIBILITY: process.env.CF_WORK_ELIGIBILITY || 'aec8f523-e21d-4cd7-a359-d52f712009cb', // dropdown
-  RELIABLE_COMPUTER: process.env.CF_RELIABLE_COMPUTER || 'ba53f6aa-997f-4af6-9e52-dd4e76c31723', // dropdown
-  EXPERIENCE_DESC: process.env.CF_EXPERIENCE_DESC,               // long text
-  CERT_COMPLETED: process.env.CF_CERT_COMPLETED,                 // dropdown or text
-  CERT_LISTED: process.env.CF_CERT_LISTED,                       // long text
-  EDUCATION: process.env.CF_EDUCATION || '54a767b7-175a-46b6-b380-741c654017b2',               // dropdown
-  OTHER_EDUCATION: process.env.CF_OTHER_EDUCATION,               // short text
-  CLASS_SCHEDULE: process.env.CF_CLASS_SCHEDULE || '90cf8381-4096-4b5c-8d8d-46f679ae7ef0',     // dropdown Yes/No
-  COMMITMENT_LEVEL: process.env.CF_COMMITMENT_LEVEL,             // must be provided in .env (no default)
-  BACKGROUND_CHECK: process.env.CF_BACKGROUND_CHECK || 'bda2b4d0-d66e-49ef-b315-b8dce562abfd',  // dropdown Yes/No
-  HEARD_ABOUT: process.env.CF_HEARD_ABOUT || 'f44b2bb5-0120-40fd-97c6-17ca42c85d32',           // dropdown
-  COHORT: process.env.CF_COHORT,
-  // Video handling
-  DCA_VIDEO: process.env.CF_DCA_VIDEO,                           // (not used anymore — attachment fields are flaky via API)
-  DCA_VIDEO_URL: process.env.CF_DCA_VIDEO_URL,                    // Text/Link field to store the uploaded URL (RECOMMENDED)
-  PAYMENT_METHOD: process.env.CF_PAYMENT_METHOD,
-};
-// --- Cohort drop-down option IDs (set in .env) ---
-// COHORT_OCT_ID  -> option id for "DTCA-2502 (October)"
-// COHORT_JAN_ID  -> option id for "DTCA-2601 (January)"
-const COHORT_OPTIONS = {
-  october: process.env.COHORT_OCT_ID || null,
-  january: process.env.COHORT_JAN_ID || null
-};
-
-/** Normalize a cohort label and resolve to an option id */
-function resolveCohortOptionId(input = '') {
-  const v = String(input).trim().toLowerCase();
 
-  // explicit canonical values
-  if (v === 'october') return COHORT_OPTIONS.october;
-  if (v === 'january') return COHORT_OPTIONS.january;
+// Offline mode: CLICKUP_SIMULATOR=true serves a fake ClickUp workspace (src/clickupSim.js) and
+// points the client, list and CF_* ids at it. Must run before anything below reads those env vars.
+const USE_SIMULATOR = String(process.env.CLICKUP_SIMULATOR).toLowerCase() === 'true';
+if (USE_SIMULATOR && process.env.NODE_ENV === 'production') {
+  throw new Error('CLICKUP_SIMULATOR must not be enabled in production');
+}
+const SIMULATOR = USE_SIMULATOR ? startClickUpSimulator() : null;
+if (SIMULATOR) Object.assign(process.env, SIMULATOR.env);
 
-  // accept full labels or codes
-  if (v.includes('dtca-2502') || v.includes('oct')) return COHORT_OPTIONS.october;
-  if (v.includes('dtca-2601') || v.includes('jan')) return COHORT_OPTIONS.january;
+const PORT = process.env.PORT || 8000;
 
-  return null;
-}
+// Programs (src/programs.json), each with its own ClickUp list, field mapping (CF ids), cohort
+// metadata, guarantee terms, screening rules, form rules and payment option ids
+const PROGRAMS = loadPrograms();
+// ClickUp status -> applicant-facing stage for GET /api/application/status
+const STAGES = loadStages();
+// Status transitions (webhooks) -> next-step link / comment / email
+const WORKFLOW = loadWorkflow();
 // ---------------------------------------------------------------------------
 // Middleware
-app.use(cors({ origin: '*', methods: ['POST','GET','OPTIONS'], allowedHeaders: ['Content-Type'] }));
-app.use(express.json({ limit: '25mb' }));
+// Correlation id first, so every later log line and error body carries it
+app.use(requestId());
+app.use(metrics.httpMetrics());
+// Access log as JSON events; the path only (query strings can carry tokens)
+app.use(morgan((tokens, req, res) => {
+  const status = res.statusCode;
+  // originalUrl: req.path is relative to the router that last handled the request
+  const urlPath = req.originalUrl.split('?')[0];
+  const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : urlPath === '/health' ? 'debug' : 'info';
+  log[level]('http.request', {
+    method: req.method,
+    path: urlPath,
+    status,
+    durationMs: Number(tokens['response-time'](req, res)) || null,
+    bytes: Number(tokens.res(req, res, 'content-length')) || 0
+  });
+  return null;
+}));
+// CORS_ORIGINS allowlist (the Shopify storefront domains); any origin when unset
+const ORIGINS = createOriginPolicy();
+app.use(cors({
+  origin: ORIGINS.corsOption,
+  methods: ['POST','GET','OPTIONS','PATCH','HEAD'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Applicant-Token', 'Upload-Offset', 'Idempotency-Key', 'X-Request-Id'],
+  exposedHeaders: ['Upload-Offset', 'Upload-Length', 'Idempotent-Replayed', 'X-Request-Id']
+}));
+app.use(express.json({
+  limit: '25mb',
+  // Webhook signatures are computed over the exact bytes received
+  verify: (req, _res, buf) => { if (req.url.startsWith('/webhooks/')) req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use((req, res, next) => {
   const t = 7 * 60 * 1000; // 7 minutes
@@ -98,29 +131,45 @@ app.use((req, res, next) => {
 });
 // ---------------------------------------------------------------------------
 // Helpers
-/** Basic ClickUp API wrapper */
-async function resolveTaskId({ taskId, customTaskId }) {
-  if (taskId) return taskId;
-  if (!customTaskId) return null;
-  const url = `https://api.clickup.com/api/v2/task/${encodeURIComponent(customTaskId)}?custom_task_ids=true&team_id=${process.env.CLICKUP_TEAM_ID}`;
-  const r = await fetch(url, { headers: { Authorization: process.env.CLICKUP_TOKEN }});
-  if (!r.ok) return null;
-  const t = await r.json();
-  return t?.id || null;
-}
-async function cu(path, opts = {}) {
-  const res = await fetch(`https://api.clickup.com/api/v2${path}`, {
-    ...opts,
-    headers: {
-      Authorization: CLICKUP_TOKEN,
-      ...(opts.headers || {})
+/** Shared ClickUp client: auth, custom ids, timeouts, retries, rate limits */
+const clickup = createClickUpClient();
+
+/**
+ * Per-program runtime, kept on the program:
+ *   records       where applicant records are written (RECORD_BACKENDS, default ClickUp; see src/backends)
+ *   options       dropdown options of the program's list: fieldId -> [{id,name,orderindex}, ...],
+ *                 TTL + background revalidation; every load also re-verifies the field mapping (fieldReport)
+ *   cohortCounts  optionId -> { n, at }: tasks already assigned to each cohort option
+ * Dropdown options, seat counts and the ClickUp duplicate search still talk to ClickUp directly.
+ */
+for (const prog of PROGRAMS.list()) {
+  prog.records = createRecordStore({ client: clickup, listId: prog.listId, fieldIds: fieldIdsByKey(prog.fieldMap, prog.CF) });
+  prog.fieldReport = null;
+  prog.options = createOptionCache({
+    load: () => clickup.getListFields(prog.listId),
+    onLoad(fields, options) {
+      prog.fieldReport = verifyFieldMap(prog.fieldMap, prog.CF, fields);
+      log.info('options.loaded', { program: prog.id, fieldCount: options.size });
     }
   });
-  return res;
+  prog.cohortCounts = new Map();
 }
 
+/** Program an outbox item (submission, workflow run) belongs to; items from before programs are the default's */
+const programOf = item => PROGRAMS.get(item?.meta?.program) || PROGRAMS.default;
+
+/** Program id for tokens and journals (omitted for the default program, so older tokens keep working) */
+const programClaim = prog => (prog.isDefault ? undefined : prog.id);
+
 /** Format a simple description for the task */
-function buildTaskDescription(p) {
+function buildTaskDescription(p, prog) {
+  // Programs with their own form: one line per answered field, in schema order
+  if (prog.customSchema) {
+    return Object.entries(prog.schema)
+      .filter(([key]) => key !== 'fullName' && p[key])
+      .map(([key, rule]) => `- **${rule.label || key}:** ${p[key]}`)
+      .join('\n');
+  }
   const rows = [];
   if (p.email) rows.push(`- **Email:** ${p.email}`);
   if (p.phone) rows.push(`- **Phone:** ${p.phone}`);
@@ -144,30 +193,20 @@ function buildTaskDescription(p) {
 
 // ---------------- Dropdown option warming & mapping -------------------------
 
-/** Cache: fieldId -> [{id,name}, ...] */
-const OPTION_CACHE = new Map();
+// Oldest loaded option cache across programs (no sample while none has loaded: alert on option_cache_loaded)
+metrics.gauge('option_cache_age_seconds', 'Seconds since dropdown options were last loaded from ClickUp', [], () => {
+  const ages = PROGRAMS.list().map(prog => prog.options.stats().ageMs).filter(a => a !== null);
+  return ages.length ? Math.max(...ages) / 1000 : NaN;
+});
+metrics.gauge('option_cache_loaded', '1 once a program\'s dropdown options have loaded from ClickUp, 0 while they never have', ['program'],
+  () => PROGRAMS.list().map(prog => ({ labels: { program: prog.id }, value: prog.options.loaded ? 1 : 0 })));
 
-/** Load all custom fields for the list and cache dropdown options */
-async function warmDropdowns() {
-  OPTION_CACHE.clear();
-  try {
-    const r = await cu(`/list/${CLICKUP_LIST_ID}/field`);
-    const json = await r.json();
-    const fields = json?.fields || [];
-    fields.forEach(f => {
-      if (Array.isArray(f.type_config?.options)) {
-        OPTION_CACHE.set(f.id, f.type_config.options.map(o => ({ id: o.id, name: o.name })));
-      }
-    });
-    console.log(`[ClickUp] Loaded dropdown option maps for ${OPTION_CACHE.size} fields`);
-  } catch (e) {
-    console.warn('[ClickUp] Could not warm dropdown options:', e?.message || e);
-  }
-}
+// Longest a request waits on a cold option cache (ClickUp slow or down); the load carries on
+const OPTION_COLD_WAIT_MS = Number(process.env.OPTION_COLD_WAIT_MS || 3000);
 
-function optionIdFor(fieldId, raw) {
+function optionIdFor(prog, fieldId, raw) {
   if (!fieldId || !raw) return null;
-  const opts = OPTION_CACHE.get(fieldId) || [];
+  const opts = prog.options.get(fieldId) || [];
   const norm = s => String(s || '')
     .toLowerCase()
     .replace(/&amp;/g, 'and')
@@ -199,7 +238,7 @@ function optionIdFor(fieldId, raw) {
   }
 
   // Special mapping for Work Eligibility (3-option dropdown)
-  if (fieldId === CF.WORK_ELIGIBILITY) {
+  if (fieldId === prog.CF.WORK_ELIGIBILITY) {
     // US citizen/permanent resident
     if (/(^| )(i am )?(a )?(us|u s|u\.s\.) (citizen|permanent resident)/.test(u) || (u.includes('us') && u.includes('permanent resident'))) {
       found = opts.find(o => {
@@ -226,465 +265,1879 @@ function optionIdFor(fieldId, raw) {
     }
   }
 
-  console.warn(`[map] no dropdown match for field ${fieldId} value "${raw}". Options=`, opts.map(o => o.name));
+  log.warn('map.no_option_match', { fieldId, value: raw, options: opts.map(o => o.name) });
+  metrics.mappingMisses.inc({ field: fieldId });
   return null;
 }
 
 // Push a dropdown value by mapping to option ID; if the field has no options (text field variant), fall back to raw.
-function pushDropdownOrText(custom_fields, fieldId, raw) {
+function pushDropdownOrText(prog, custom_fields, fieldId, raw) {
   if (!fieldId || !raw) return;
-  const hasOptions = OPTION_CACHE.has(fieldId);
-  const id = optionIdFor(fieldId, raw);
+  const hasOptions = prog.options.has(fieldId);
+  const id = optionIdFor(prog, fieldId, raw);
   if (id) {
     custom_fields.push({ id: fieldId, value: id });
   } else if (!hasOptions) {
     custom_fields.push({ id: fieldId, value: raw });
   } else {
-    console.warn(`[map] skipped field ${fieldId} for raw="${raw}" (dropdown with no match)`);
+    log.warn('map.field_skipped', { fieldId, value: raw });
   }
 }
 
+/** Dropdown option ids only matter when ClickUp holds the primary record; other backends store labels */
+const needsOptionIds = prog => prog.records.primary === 'clickup';
+
+/**
+ * Task body with the dropdowns /api/apply deferred (options were not loaded yet) mapped to
+ * option ids; throws a retryable StepError while the options still cannot be loaded
+ */
+async function resolveDeferredDropdowns(prog, task) {
+  const { deferredDropdowns, ...rest } = task;
+  if (!deferredDropdowns?.length || !needsOptionIds(prog)) return rest;
+  await prog.options.ensureFresh({ waitMs: OPTION_COLD_WAIT_MS });
+  if (!prog.options.loaded) throw new StepError('dropdown options are not loaded yet');
+  const custom_fields = [...(rest.custom_fields || [])];
+  for (const { fieldId, raw } of deferredDropdowns) pushDropdownOrText(prog, custom_fields, fieldId, raw);
+  return { ...rest, custom_fields };
+}
+
+// ---------------- Cohort catalog --------------------------------------------
+
+const COHORT_COUNT_TTL_MS = Number(process.env.COHORT_COUNT_TTL_MS || 60 * 1000);
+
+/** Count tasks in the program's list whose CF_COHORT is this option (cached briefly unless fresh) */
+async function countCohortTasks(prog, optionId, { fresh = false } = {}) {
+  const hit = prog.cohortCounts.get(optionId);
+  if (!fresh && hit && Date.now() - hit.at < COHORT_COUNT_TTL_MS) return hit.n;
+
+  const custom_fields = [{ field_id: prog.CF.COHORT, operator: '=', value: optionId }];
+  let n = 0;
+  for (let page = 0; page < 100; page++) {
+    const j = await clickup.listTasks(prog.listId, { include_closed: true, page, custom_fields });
+    const tasks = j.tasks || [];
+    n += tasks.length;
+    if (j.last_page || tasks.length < 100) break;
+  }
+  prog.cohortCounts.set(optionId, { n, at: Date.now() });
+  return n;
+}
+
+/** Current catalog: CF_COHORT options + metadata + seat counts (fresh: recount instead of the cache) */
+async function cohortCatalog(prog, { fresh = false } = {}) {
+  await prog.options.ensureFresh();
+  // Without loaded options, fall back to the option ids pinned in cohorts.json / env
+  const options = prog.options.get(prog.CF.COHORT) ||
+    prog.cohorts.filter(c => c.optionId).map(c => ({ id: c.optionId, name: c.code }));
+
+  // Only cohorts that are otherwise open and have a capacity need a seat count
+  const counts = new Map();
+  for (const c of buildCatalog(options, prog.cohorts)) {
+    if (c.capacity == null || c.state !== 'open') continue;
+    try {
+      counts.set(c.optionId, await countCohortTasks(prog, c.optionId, { fresh }));
+    } catch (e) {
+      // Fail open: a ClickUp hiccup should not block enrollment
+      log.warn('cohorts.count_failed', { program: prog.id, cohort: c.code, err: e });
+    }
+  }
+  return buildCatalog(options, prog.cohorts, counts);
+}
+
+/** A task's cohort changed: drop the cached counts so the next read recounts from the list */
+function forgetCohortCounts(prog, ...optionIds) {
+  for (const id of optionIds) if (id) prog.cohortCounts.delete(id);
+}
+
+// Cohort picks in a program run one at a time, so a seat check and the write that takes the
+// seat cannot interleave. In-process only: the service runs as a single instance (koyeb.yaml).
+const cohortPickTails = new Map();
+
+/** Waits for the program's previous pick; resolves to release(), call it when done */
+function cohortPickLock(prog) {
+  const prev = cohortPickTails.get(prog.id) || Promise.resolve();
+  let release;
+  const mine = new Promise(resolve => { release = resolve; });
+  const tail = prev.then(() => mine);
+  cohortPickTails.set(prog.id, tail);
+  return prev.then(() => () => {
+    release();
+    if (cohortPickTails.get(prog.id) === tail) cohortPickTails.delete(prog.id);
+  });
+}
+
+// ---------------- Applicant tokens ------------------------------------------
+
+/** Tokens minted while the task was still queued carry only a submission id */
+function resolveTokenSubject(claims) {
+  if (claims.taskId || claims.customTaskId) return claims;
+  const r = claims.submissionId && outbox.get(claims.submissionId)?.steps.create?.result;
+  return r ? { taskId: r.taskId, customTaskId: r.customTaskId } : null;
+}
+
+/** Program a route serves, as tokens name it (null for the default program) */
+const routeProgram = req => programClaim(req.program) || null;
+
+/** Token guard for the post-application routes, answering in the { status, message } shape (v1) */
+const requireApplicant = requireApplicantToken({
+  resolveSubject: resolveTokenSubject,
+  program: routeProgram,
+  fail: (res, status, code) => sendError(res.req, res, code, { status, body: { status: 'error', message: code } })
+});
+
+/** Same guard for /api/guarantee-sign, which answers in the { ok, error } shape (v1) */
+const requireApplicantOk = requireApplicantToken({
+  resolveSubject: resolveTokenSubject,
+  program: routeProgram,
+  fail: (res, status, code) => sendError(res.req, res, code, { status, body: { ok: false, error: code } })
+});
+
+/** verifyToken for routes that read the token themselves; a token for another program is refused */
+function verifyRouteToken(req, token) {
+  const claims = verifyToken(token);
+  if (claims.program !== routeProgram(req)) throw new TokenError(403, 'token_program_mismatch');
+  return claims;
+}
+
+// Cohort / payment outcomes per task (what the admin API shows next to the outbox steps)
+const enrollment = createEnrollmentLog();
+
+/** What an operator needs from a failed backend call: code, HTTP status and ClickUp's own error body */
+const errorInfo = e => ({ code: e.code, message: e.message, status: e.status, body: e.body });
+
+// ---------------- Guarantee signatures -------------------------------------
+
+const signatures = createSignatureStore();
+
+/** "October 6, 2025" (UTC, so date-only values keep their day) */
+const longDate = at => new Date(at).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+/** Placeholder values for a terms template, read from the application record (signer name wins over the record name) */
+function termsValues(record, fullName, at) {
+  return {
+    fullName: fullName || record?.name,
+    cohort: record?.fields.cohort,
+    paymentMethod: record?.fields.paymentMethod,
+    date: longDate(at)
+  };
+}
+
+// ---------------- Chunked upload store ------------------------------------
+
+const uploads = createUploadStore({ maxBytes: MAX_VIDEO_BYTES });
+
+// ---------------- Duplicate submissions -------------------------------------
+
+// DUPLICATE_POLICY: what to do when the email/phone has applied before
+//   tag     - create the task anyway, tagged + linked to the earlier one (default)
+//   comment - add the new answers/video to the earlier task as a comment
+//   reject  - refuse with status "duplicate_application"
+const DUPLICATE_POLICY = (process.env.DUPLICATE_POLICY || 'tag').toLowerCase();
+const DUPLICATE_TAG = process.env.DUPLICATE_TAG || 'duplicate';
+// DUPLICATE_SEARCH=clickup also searches the list by email (needs CF_EMAIL); default is the local index only
+const DUPLICATE_SEARCH = (process.env.DUPLICATE_SEARCH || 'local').toLowerCase();
+
+const idempotency = createIdempotencyStore();
+const applicants = createApplicantIndex();
+
+/**
+ * Earlier submission for this applicant to the same program, from the local index:
+ * { taskId?, taskUrl?, submissionId, matchedOn }
+ */
+function findPriorApplication(p, prog) {
+  let fallback = null;
+  for (const hit of applicants.find(p)) {
+    for (const id of hit.submissionIds) {
+      const prior = outbox.get(id);
+      if (!prior || programOf(prior) !== prog) continue;
+      const r = prior.steps.create?.result;
+      if (r?.taskId) return { taskId: r.taskId, taskUrl: r.taskUrl, submissionId: id, matchedOn: hit.matchedOn };
+      fallback = fallback || { submissionId: id, matchedOn: hit.matchedOn };
+    }
+  }
+  return fallback;
+}
+
+/**
+ * Existing task in the program's list with this email in CF_EMAIL (null on miss or error).
+ * Searches the address as typed (trimmed): ClickUp stores it raw, so a normalized one would miss.
+ */
+async function findTaskByEmail(email, prog) {
+  const typed = String(email || '').trim();
+  if (!prog.CF.EMAIL || !typed) return null;
+  try {
+    const j = await clickup.listTasks(prog.listId, {
+      include_closed: true,
+      custom_fields: [{ field_id: prog.CF.EMAIL, operator: '=', value: typed }]
+    });
+    const t = j.tasks?.[0];
+    return t ? { taskId: t.id, taskUrl: t.url, matchedOn: 'email' } : null;
+  } catch (e) {
+    log.warn('dedupe.search_failed', { err: e });
+    return null;
+  }
+}
+
+// ---------------- Anti-spam -------------------------------------------------
+// Rate limits, bot signals and CAPTCHA for the public form (see src/antispam.js, src/captcha.js)
+
+const applyLimits = createApplyLimiters();
+const captcha = createCaptchaVerifier();
+
+/**
+ * Turn a request away before anything is journaled or sent to ClickUp; counted and logged.
+ * reason: rate_ip | rate_email | honeypot | too_fast | captcha_missing | captcha_invalid
+ * v1 /api/apply answers 200 with a { status, message } body like its other rejections.
+ */
+function rejectSpam(req, res, route, reason, retryAfter) {
+  metrics.spamRejections.inc({ route, reason });
+  log.warn('antispam.rejected', { route, reason, retryAfter });
+  if (retryAfter) res.set('Retry-After', String(retryAfter));
+
+  const [code, v1status, message] = reason.startsWith('rate_')
+    ? ['rate_limited', 'rate_limited', `Too many submissions. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`]
+    : reason.startsWith('captcha_')
+      ? [reason === 'captcha_missing' ? 'captcha_required' : 'captcha_failed', 'captcha_failed', 'Please complete the CAPTCHA and try again.']
+      : ['submission_rejected', 'rejected', 'We could not accept this submission. Please reload the page and try again.'];
+  const v1 = route === 'apply'
+    ? { status: 200, body: { status: v1status, message, retryAfter } }
+    : { status: code === 'rate_limited' ? 429 : 400, body: { status: 'error', message: code } };
+  return sendError(req, res, code, v1, { detail: message, retryAfter });
+}
+
+/**
+ * Per-IP limit, checked before multer so a flood never gets to stream its uploads.
+ * /apply only looks here (its budget is spent in screenSubmission); /uploads spends its own.
+ */
+const limitByIp = route => (req, res, next) => {
+  const r = route === 'uploads' ? applyLimits.uploads.hit(req.ip) : applyLimits.ip.peek(req.ip);
+  return r.ok ? next() : rejectSpam(req, res, route, 'rate_ip', r.retryAfter);
+};
+
+/**
+ * Per-IP budget, CAPTCHA and per-email limit for a valid submission; returns true when it was rejected.
+ * Invalid forms and idempotent replays never get here, so they do not use up the IP budget.
+ * A CAPTCHA provider outage fails open (logged): the limits still apply, and applicants are not locked out.
+ */
+async function screenSubmission(req, res, p) {
+  const byIp = applyLimits.ip.hit(req.ip);
+  if (!byIp.ok) {
+    rejectSpam(req, res, 'apply', 'rate_ip', byIp.retryAfter);
+    return true;
+  }
+  const human = await captcha.verify(captchaTokenFrom(req.body), { ip: req.ip });
+  if (!human.ok && human.error === 'unavailable') {
+    log.warn('captcha.unavailable', { provider: captcha.name, codes: human.codes });
+  } else if (!human.ok) {
+    rejectSpam(req, res, 'apply', `captcha_${human.error}`);
+    return true;
+  }
+  const r = applyLimits.email.hit(normalizeEmail(p.email));
+  if (!r.ok) {
+    rejectSpam(req, res, 'apply', 'rate_email', r.retryAfter);
+    return true;
+  }
+  return false;
+}
+
+// ---------------- Submission outbox ----------------------------------------
+
+// Steps throw BackendError (ClickUpError for ClickUp), whose `retryable` flag tells the outbox
+// whether to back off or park the item
+const outbox = createOutbox({
+  steps: [
+    {
+      name: 'create',
+      async run(sub) {
+        const prog = programOf(sub);
+        const { records } = prog;
+        // Duplicate policy "comment": record the repeat on the existing record instead
+        const merge = sub.meta?.mergeInto;
+        if (merge) {
+          const c = await records.addNote({ taskId: merge.taskId },
+            `Repeat application received ${sub.createdAt}\n\n${sub.task.description}`);
+          return { taskId: merge.taskId, customTaskId: null, taskUrl: merge.taskUrl, merged: true, commentId: c?.id };
+        }
+
+        const task = await resolveDeferredDropdowns(prog, sub.task);
+        const ev = { submissionId: sub.id, backend: records.primary };
+        log.info('records.create.start', { ...ev, fieldCount: task.custom_fields?.length || 0 });
+        try {
+          const created = await records.createApplication({ ...task, answers: sub.meta?.answers });
+          log.info('records.create.ok', { ...ev, taskId: created.id });
+          return { taskId: created.id, customTaskId: created.customId, taskUrl: created.url };
+        } catch (e) {
+          log.error('records.create.failed', { ...ev, err: e });
+          throw e;
+        }
+      }
+    },
+    {
+      name: 'upload',
+      async run(sub, { create }) {
+        if (!sub.file) return { skipped: true };
+        const { records } = programOf(sub);
+        const ev = { submissionId: sub.id, backend: records.primary, taskId: create.taskId };
+        log.info('records.attach_video.start', { ...ev, size: sub.file.size, type: sub.file.mimetype });
+
+        const timer = metrics.uploadDuration.startTimer();
+        try {
+          const att = await records.attachFile({ taskId: create.taskId }, {
+            path: sub.file.path,
+            filename: sub.file.originalname || 'video.mp4',
+            mimetype: sub.file.mimetype,
+            size: sub.file.size
+          });
+          timer({ result: 'ok' });
+          log.info('records.attach_video.ok', { ...ev, attId: att.id });
+          return { attId: att.id, attUrl: att.url };
+        } catch (e) {
+          timer({ result: 'failed' });
+          log.error('records.attach_video.failed', { ...ev, err: e });
+          throw e;
+        }
+      }
+    },
+    {
+      name: 'videoUrl',
+      async run(sub, { create, upload }) {
+        if (!upload?.attUrl) return { skipped: true };
+        const { records } = programOf(sub);
+        const r = await records.setField({ taskId: create.taskId }, 'videoUrl', upload.attUrl);
+        log.info('records.set_video_url.ok', { submissionId: sub.id, backend: records.primary, taskId: create.taskId });
+        return r;
+      }
+    },
+    {
+      // Poster frame next to the video, so reviewers can see what it is without downloading it
+      name: 'thumbnail',
+      async run(sub, { create }) {
+        if (!sub.meta?.video || !sub.file?.path || !fs.existsSync(sub.file.path)) return { skipped: true };
+        const { records } = programOf(sub);
+        const ev = { submissionId: sub.id, backend: records.primary, taskId: create.taskId };
+        const dest = path.join(path.dirname(sub.file.path), 'poster.jpg');
+        try {
+          await videoChecks.thumbnail(sub.file.path, dest, sub.meta.video);
+        } catch (e) {
+          // Not worth holding the submission back for
+          const error = e.unavailable ? 'ffmpeg_unavailable' : 'ffmpeg_failed';
+          log.warn('video.thumbnail_failed', { ...ev, error, stderr: e.stderr });
+          return { skipped: true, error };
+        }
+        const base = path.parse(sub.file.originalname || 'video').name;
+        const att = await records.attachFile({ taskId: create.taskId }, {
+          path: dest,
+          filename: `${base}-poster.jpg`,
+          mimetype: 'image/jpeg',
+          size: fs.statSync(dest).size
+        });
+        log.info('records.attach_thumbnail.ok', { ...ev, attId: att.id });
+        return { attId: att.id, attUrl: att.url };
+      }
+    }
+  ]
+});
+
+/** Applicant token for a submission (task ids once created); omitted when no secret is configured */
+function submissionToken(sub) {
+  if (!loadKeys().length) return {};
+  const r = sub.steps.create?.result || {};
+  const { token, expiresAt } = mintToken({
+    taskId: r.taskId,
+    customTaskId: r.customTaskId,
+    submissionId: sub.id,
+    email: sub.meta?.email,
+    program: sub.meta?.program
+  });
+  return { token, tokenExpiresAt: expiresAt };
+}
+
+/** /api/apply response for a submission's current state (also replayed for Idempotency-Key hits) */
+function applyResponse(sub) {
+  const created = sub.steps.create;
+  if (created.status !== 'done') {
+    return {
+      status: 'queued',
+      submissionId: sub.id,
+      ...submissionToken(sub),
+      message: 'Application received. It will be added to our system shortly.'
+    };
+  }
+  return {
+    status: 'ok',
+    submissionId: sub.id,
+    taskId: created.result.taskId,
+    customTaskId: created.result.customTaskId,
+    taskUrl: created.result.taskUrl,
+    ...submissionToken(sub),
+    ...(sub.meta?.duplicateOf ? { duplicateOf: sub.meta.duplicateOf, merged: !!sub.meta.mergeInto } : {}),
+    upload: sub.status === 'delivered'
+      ? 'ok'
+      : { step: sub.lastError?.step, status: sub.status === 'failed' ? 'failed' : 'queued', error: sub.lastError?.message }
+  };
+}
+
+/** Compact view of an outbox item for operators */
+function outboxSummary(s) {
+  return {
+    id: s.id,
+    createdAt: s.createdAt,
+    status: s.status,
+    attempts: s.attempts,
+    nextAttemptAt: s.nextAttemptAt,
+    name: s.task?.name,
+    email: s.meta?.email,
+    steps: Object.fromEntries(Object.entries(s.steps).map(([k, v]) => [k, v.status])),
+    lastError: s.lastError
+  };
+}
+
+// ---------------- Email notifications ---------------------------------------
+// Queued and retried by the mailer; nothing here can fail the request that triggered it
+
+const mailer = createMailer();
+
+/** Email + name of the token holder: the submission journal first, then the program's application record */
+async function applicantContact({ taskId, customTaskId, submissionId }, prog) {
+  const sub = submissionId ? outbox.get(submissionId) : null;
+  if (sub?.meta?.email) return { email: sub.meta.email, fullName: sub.meta.fullName };
+  const record = await prog.records.getApplication({ taskId, customTaskId });
+  return { email: record?.fields.email || null, fullName: record?.name || null };
+}
+
+function notifyApplication(prog, p, out, { hasVideo, requestId }) {
+  const values = {
+    program: prog.name,
+    hasVideo,
+    fullName: p.fullName,
+    email: p.email,
+    submissionId: out.submissionId,
+    customTaskId: out.customTaskId,
+    taskUrl: out.taskUrl,
+    deliveryStatus: out.status === 'queued' ? 'queued, ClickUp delivery pending' : out.merged ? 'merged into an earlier application' : 'created'
+  };
+  mailer.send('application_received', { to: p.email, values, requestId });
+  mailer.notifyStaff('application', 'staff_application', { values, requestId });
+}
+
+async function notifyCohort(prog, applicant, entry, requestId) {
+  const contact = await applicantContact(applicant, prog);
+  const values = {
+    ...contact,
+    program: prog.name,
+    taskId: applicant.taskId || applicant.customTaskId,
+    cohortCode: entry.code,
+    cohortLabel: entry.label,
+    startDate: entry.startDate ? longDate(entry.startDate) : 'the cohort start date'
+  };
+  mailer.send('cohort_confirmed', { to: contact.email, values, requestId });
+  mailer.notifyStaff('cohort', 'staff_cohort', { values, requestId });
+}
+
+async function notifyGuarantee(prog, applicant, sig, pdf, requestId) {
+  const contact = await applicantContact(applicant, prog);
+  const values = {
+    ...contact,
+    program: prog.name,
+    fullName: sig.fullName || contact.fullName,
+    taskId: sig.customTaskId || sig.taskId,
+    termsVersion: sig.termsVersion,
+    signatureId: sig.id,
+    signedAt: longDate(sig.signedAt),
+    pdfSha256: sig.pdfSha256
+  };
+  mailer.send('guarantee_signed', {
+    to: contact.email,
+    values,
+    attachment: { buffer: pdf, filename: sig.pdfFileName, mimetype: 'application/pdf' },
+    requestId
+  });
+  mailer.notifyStaff('guarantee', 'staff_guarantee', { values, requestId });
+}
+
+/** Run a notifier after the response has gone out; failures are only logged */
+function afterResponse(name, fn) {
+  Promise.resolve().then(fn).catch(e => log.error('mail.notify_failed', { notification: name, err: e }));
+}
+
 // ---------------------------------------------------------------------------
 // Routes
 
 app.get('/health', (_req, res) => res.type('text/plain').send('ok'));
+
+// Readiness: dropdown options loaded, the primary record backend healthy (for ClickUp: token accepted)
+// and ffprobe present for the video checks (unless they are off or VIDEO_CHECK_OPTIONAL=true).
+// The check is cached so frequent probes do not spend ClickUp rate limit.
+const AUTH_CHECK_TTL_MS = 60 * 1000;
+let authCheck = null;
+async function checkRecordBackend() {
+  if (authCheck && Date.now() - authCheck.checkedAt < AUTH_CHECK_TTL_MS) return authCheck.result;
+  let result;
+  try {
+    result = await PROGRAMS.default.records.health();
+  } catch (e) {
+    result = { ok: false, error: e.code || e.message, status: e.status };
+  }
+  authCheck = { checkedAt: Date.now(), result: { ...result, checkedAt: new Date().toISOString() } };
+  return authCheck.result;
+}
+
+app.get('/health/ready', async (_req, res) => {
+  const cacheCheck = prog => {
+    const cache = prog.options.stats();
+    return {
+      ok: !!cache.loadedAt,
+      loadedAt: cache.loadedAt,
+      stale: cache.stale,
+      fieldCount: cache.fieldCount,
+      lastError: cache.lastError
+    };
+  };
+  // The default program's checks keep their original names; other programs' caches are "<id>.optionCache".
+  // Only programs whose primary record lives in ClickUp need the options to take applications.
+  const checks = {};
+  for (const prog of PROGRAMS.list().filter(needsOptionIds)) {
+    checks[prog.isDefault ? 'optionCache' : `${prog.id}.optionCache`] = cacheCheck(prog);
+  }
+  checks[PROGRAMS.default.records.primary] = await checkRecordBackend();
+  checks.videoChecks = await videoChecks.health();
+  const ready = Object.values(checks).every(c => c.ok);
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+});
+
+// Prometheus scrape endpoint (admin key, e.g. bearer_token in the scrape config)
+app.get('/metrics', requireAdmin, (_req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
 // Root path so the public URL does not 502 when hitting "/"
 app.get('/', (_req, res) => {
   res.status(200).type('text/plain').send('DTCA backend up ✅');
 });
 
-// Introspect loaded dropdowns
-app.get('/debug/options', (_req, res) => {
-  const out = {};
-  OPTION_CACHE.forEach((v, k) => (out[k] = v));
-  res.json(out);
+// Operator views below expose field ids, submissions and queue contents: admin key for all of /debug
+app.use('/debug', requireAdmin);
+
+/** ?program= on operator routes (default program when absent); null after answering 404 for an unknown one */
+function queryProgram(req, res) {
+  const prog = PROGRAMS.get(req.query.program);
+  if (!prog) res.status(404).json({ status: 'error', message: 'unknown_program', programs: PROGRAMS.list().map(p => p.id) });
+  return prog;
+}
+
+// Introspect loaded dropdowns (?program=)
+app.get('/debug/options', (req, res) => {
+  const prog = queryProgram(req, res);
+  if (!prog) return;
+  const options = {};
+  prog.options.forEach((v, k) => (options[k] = v));
+  res.json({ ...prog.options.stats(), options });
 });
 
-/**
- * Main submit route
- * Accepts multipart/form-data with optional "videoFile"
- */
-app.post('/api/apply', upload.single('videoFile'), async (req, res) => {
-  try {
-    // Warm dropdowns (safe to call; fast & cached)
-    await warmDropdowns();
-
-    // Normalize payload (Shopify -> server)
-    const p = normalizePayload(req);
-
-    // === Require a video upload ===
-    if (!req.file || !req.file.buffer || !req.file.buffer.length) {
-      return res.status(200).json({
-        status: 'validation_error',
-        field: 'videoFile',
-        message: 'Please upload a short intro video (required).'
-      });
-    }
+// Force a reload after someone edits dropdown options in ClickUp
+app.post('/debug/options/refresh', async (req, res) => {
+  const prog = queryProgram(req, res);
+  if (!prog) return;
+  await prog.options.refresh();
+  const stats = prog.options.stats();
+  res.status(stats.lastError ? 502 : 200).json({ status: stats.lastError ? 'error' : 'ok', ...stats });
+});
 
-   // Build custom_fields
-const custom_fields = [];
+// Field mapping verification against the program's ClickUp list
+app.get('/debug/fields', (req, res) => {
+  const prog = queryProgram(req, res);
+  if (!prog) return;
+  res.json(prog.fieldReport || { ok: false, error: 'not_verified', detail: 'List fields could not be loaded' });
+});
 
-// Email
-if (CF.EMAIL && p.email) custom_fields.push({ id: CF.EMAIL, value: p.email });
+// ---------------------------------------------------------------------------
+// Public API: one router mounted per version and program (see the bottom of this file)
+//   /api     v1, legacy status codes and bodies the live Shopify form depends on
+//   /api/v2  proper HTTP status codes, errors as application/problem+json
+//   /api/<program>, /api/v2/<program>  the same for one program; unprefixed = the default program
+const api = express.Router();
+
+/** Pin the program a mount serves (req.program) */
+const useProgram = prog => (req, _res, next) => {
+  req.program = prog;
+  next();
+};
 
-// Phone (already normalized to E.164 client-side)
-if (CF.PHONE && p.phone) custom_fields.push({ id: CF.PHONE, value: p.phone });
+api.use((req, _res, next) => {
+  req.program ||= PROGRAMS.default;
+  next();
+});
 
-// Location + other
-if (CF.LOCATION && p.location) {
-  pushDropdownOrText(custom_fields, CF.LOCATION, p.location);
+// Browsers send form posts cross-origin without a preflight, so CORS alone cannot stop
+// another site from submitting: writes carrying an Origin off the allowlist are refused
+api.use((req, res, next) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || ORIGINS.allowed(req.get('origin'))) return next();
+  metrics.spamRejections.inc({ route: 'api', reason: 'origin' });
+  log.warn('antispam.rejected', { route: req.originalUrl.split('?')[0], reason: 'origin', origin: req.get('origin') });
+  return sendError(req, res, 'origin_not_allowed', { status: 403, body: { status: 'error', message: 'origin_not_allowed' } });
+});
+
+/** v1: the legacy body as given; v2: problem+json (422) with every field error */
+function sendValidation(req, res, errors, legacyStatus = 200) {
+  const list = Array.isArray(errors) ? errors : [errors];
+  return sendError(req, res, 'validation_failed', { status: legacyStatus, body: validationError(list) },
+    { detail: list[0]?.message, errors: list });
 }
-if (CF.OTHER_LOCATION && p.otherLocation) {
-  custom_fields.push({ id: CF.OTHER_LOCATION, value: p.otherLocation });
+
+/** Unexpected failure: v1 keeps the route's legacy body; v2 says 502 when ClickUp / a record backend was the cause */
+function sendServerError(req, res, err, legacy) {
+  if (!(err instanceof BackendError)) return sendError(req, res, 'server_error', legacy);
+  return err instanceof ClickUpError
+    ? sendError(req, res, 'clickup_unavailable', legacy, { clickupCode: err.code })
+    : sendError(req, res, 'backend_unavailable', legacy, { backendCode: err.code });
 }
 
-// Work eligibility
-pushDropdownOrText(custom_fields, CF.WORK_ELIGIBILITY, p.workEligibility);
+/** Success status: v1 always answers 200, v2 uses the given one (201, 202, ...) */
+const okStatus = (req, status) => (req.apiVersion >= 2 ? status : 200);
+
+/** base URL + ?token= (null without a base) */
+function applicantLink(base, token) {
+  return base ? `${base}${base.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}` : null;
+}
+
+/**
+ * Mint a fresh applicant link (e.g. for an approval email or a returning applicant)
+ * Admin key required. Body: { taskId? | customTaskId? | submissionId?, email?, ttlHours? }
+ * The token belongs to the route's program (POST /api/<program>/applicant-token for the others).
+ */
+api.post('/applicant-token', requireAdmin, (req, res) => {
+  try {
+    const { taskId, customTaskId, submissionId, email, ttlHours } = req.body || {};
+    const { token, expiresAt } = mintToken(
+      { taskId, customTaskId, submissionId, email, program: programClaim(req.program) },
+      ttlHours ? { ttlHours: Number(ttlHours) } : undefined
+    );
+    const link = applicantLink(process.env.APPLICANT_LINK_URL, token);
+    return res.status(okStatus(req, 201)).json({ status: 'ok', token, expiresAt, link });
+  } catch (e) {
+    if (e instanceof TokenError) return sendError(req, res, e.code, { status: e.status, body: { status: 'error', message: e.code } });
+    log.error('route.failed', { route: '/api/applicant-token', err: e });
+    return sendServerError(req, res, e, { status: 500, body: { status: 'error', message: 'server_error' } });
+  }
+});
+
+// Outbox: inspect queued/failed submissions and replay them by hand
+app.get('/debug/outbox', (req, res) => {
+  const { status } = req.query;
+  res.json(outbox.list(s => !status || s.status === status).map(outboxSummary));
+});
+app.get('/debug/outbox/:id', (req, res) => {
+  const sub = outbox.get(req.params.id);
+  if (!sub) return res.status(404).json({ status: 'error', message: 'not_found' });
+  res.json(sub);
+});
+app.post('/debug/outbox/:id/replay', async (req, res) => {
+  const run = outbox.replay(req.params.id);
+  if (!run) return res.status(404).json({ status: 'error', message: 'not_found' });
+  res.json(outboxSummary(await run));
+});
 
-// Reliable computer (Yes/No)
-pushDropdownOrText(custom_fields, CF.RELIABLE_COMPUTER, p.reliableComputer);
+// Mail queue: same shape as the outbox views
+app.get('/debug/mail', (req, res) => {
+  const { status } = req.query;
+  res.json(mailer.list(m => !status || m.status === status)
+    .map(m => ({ ...outboxSummary(m), template: m.task?.template, to: m.task?.to })));
+});
+app.post('/debug/mail/:id/replay', async (req, res) => {
+  const run = mailer.replay(req.params.id);
+  if (!run) return res.status(404).json({ status: 'error', message: 'not_found' });
+  res.json(outboxSummary(await run));
+});
 
-// Background check (Yes/No)
-pushDropdownOrText(custom_fields, CF.BACKGROUND_CHECK, p.backgroundCheck);
+// ---------------- Admissions admin API -------------------------------------
+// ADMIN_API_KEY required (Authorization: Bearer <key> or X-Admin-Key)
+//   GET  /admin/submissions                        ?status=pending|delivering|delivered|failed &limit= (50)
+//   GET  /admin/submissions/:id                    one submission with step results and exact errors
+//   POST /admin/submissions/:id/replay             run every outstanding step now
+//   POST /admin/submissions/:id/steps/:step/retry  re-run one step against the existing task:
+//        create | upload | videoUrl (outbox), cohort | paymentMethod (last attempted value); ?force=true repeats a done step
 
-/*  -------------------- IMPORTANT CHANGE --------------------
-    Experience & Certifications are now description-only.
-    We DO NOT push these to custom fields anymore.
-    (They’re still included in buildTaskDescription(p).)
----------------------------------------------------------------- */
-// if (CF.EXPERIENCE_DESC && p.experienceDescription) {
-//   custom_fields.push({ id: CF.EXPERIENCE_DESC, value: p.experienceDescription });
-// }
-// if (CF.CERT_COMPLETED && p.certCompleted) {
-//   pushDropdownOrText(custom_fields, CF.CERT_COMPLETED, p.certCompleted);
-// }
-// if (CF.CERT_LISTED && p.certificationsListed) {
-//   custom_fields.push({ id: CF.CERT_LISTED, value: p.certificationsListed });
-// }
+const admin = express.Router();
+admin.use(requireAdmin);
+app.use('/admin', admin);
 
-// Education + other (leave as-is unless you also want this description-only)
-pushDropdownOrText(custom_fields, CF.EDUCATION, p.education);
-if (CF.OTHER_EDUCATION && p.otherEducation) {
-  custom_fields.push({ id: CF.OTHER_EDUCATION, value: p.otherEducation });
+const adminError = (res, status, message, extra) => res.status(status).json({ status: 'error', message, ...extra });
+
+/** Submission by id; null for unknown or malformed ids */
+function findSubmission(id) {
+  try { return outbox.get(id); } catch (_) { return null; }
 }
 
-// Class availability (Yes/No)
-pushDropdownOrText(custom_fields, CF.CLASS_SCHEDULE, p.classSchedule);
+/** Task the submission created (or merged into) */
+const submissionRef = sub => {
+  const r = sub.steps.create?.result;
+  return { taskId: r?.taskId || null, customTaskId: r?.customTaskId || null };
+};
+
+/** Enrollment entries + signatures indexed by task id / custom id / submission id (one read of each journal) */
+function applicantStepIndex() {
+  const byKey = (list, keys) => {
+    const m = new Map();
+    for (const rec of list) for (const k of keys(rec)) if (k && !m.has(k)) m.set(k, rec); // lists are newest first
+    return m;
+  };
+  return {
+    enrollment: byKey(enrollment.list(), e => [e.taskId, e.customTaskId]),
+    signatures: byKey(signatures.list(), sg => [sg.submissionId, sg.taskId, sg.customTaskId])
+  };
+}
 
-// Commitment (Yes/No)
-pushDropdownOrText(custom_fields, CF.COMMITMENT_LEVEL, p.commitmentLevel);
+/**
+ * Per-step outcome: outbox steps (create, upload, videoUrl), then the applicant's steps
+ * (cohort, paymentMethod, guarantee). detail adds step results and earlier outcomes.
+ */
+function submissionSteps(sub, index, detail = false) {
+  const { taskId, customTaskId } = submissionRef(sub);
+  const steps = {};
+  for (const [name, st] of Object.entries(sub.steps)) {
+    steps[name] = { status: st.status, at: st.at || null, error: st.error || null };
+    if (detail) Object.assign(steps[name], { result: st.result ?? null, previous: st.previous || null });
+  }
 
-// Heard about us
-pushDropdownOrText(custom_fields, CF.HEARD_ABOUT, p.heardAbout);
+  const entry = (taskId && index.enrollment.get(taskId)) || (customTaskId && index.enrollment.get(customTaskId));
+  for (const name of ENROLLMENT_STEPS) {
+    const e = entry?.steps?.[name];
+    steps[name] = e
+      ? { status: e.status, at: e.at, value: e.value?.label ?? null, error: e.error || null }
+      : { status: 'not_started' };
+  }
 
-// Engagement requirement ack & comments
-if (CF.ENGAGEMENT_REQ && p.engagementText) {
-  custom_fields.push({ id: CF.ENGAGEMENT_REQ, value: p.engagementText });
+  const sig = index.signatures.get(sub.id) || (taskId && index.signatures.get(taskId)) ||
+    (customTaskId && index.signatures.get(customTaskId));
+  steps.guarantee = sig
+    ? {
+      status: 'done',
+      at: sig.signedAt,
+      signatureId: sig.id,
+      termsVersion: sig.termsVersion,
+      attached: !!sig.attachment,
+      error: sig.attachmentError || null
+    }
+    : { status: 'not_started' };
+  return steps;
 }
-if (CF.ADDITIONAL_COMMENTS && p.additionalComments) {
-  custom_fields.push({ id: CF.ADDITIONAL_COMMENTS, value: p.additionalComments });
+
+function adminSubmission(sub, index, detail = false) {
+  const r = sub.steps.create?.result;
+  const out = {
+    id: sub.id,
+    program: programOf(sub).id,
+    createdAt: sub.createdAt,
+    updatedAt: sub.updatedAt,
+    status: sub.status,
+    attempts: sub.attempts,
+    nextAttemptAt: sub.nextAttemptAt,
+    name: sub.task?.name,
+    email: sub.meta?.email,
+    taskId: r?.taskId || null,
+    customTaskId: r?.customTaskId || null,
+    taskUrl: r?.taskUrl || null,
+    steps: submissionSteps(sub, index, detail),
+    lastError: sub.lastError
+  };
+  if (detail) {
+    Object.assign(out, {
+      requestId: sub.requestId,
+      deliveredAt: sub.deliveredAt || null,
+      tags: sub.task?.tags || [],
+      video: sub.file
+        ? { filename: sub.file.originalname, size: sub.file.size, stored: fs.existsSync(sub.file.path), probe: sub.meta?.video || null }
+        : null,
+      meta: sub.meta
+    });
+  }
+  return out;
 }
 
-    const body = {
-      name: p.fullName || `Application ${new Date().toISOString()}`,
-      description: buildTaskDescription(p),
-      custom_fields
-    };
+admin.get('/submissions', (req, res) => {
+  const { status } = req.query;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+  const index = applicantStepIndex();
+  const list = outbox.list(s => !status || s.status === status).slice(0, limit);
+  res.json({ status: 'ok', count: list.length, submissions: list.map(s => adminSubmission(s, index)) });
+});
 
-    console.log('Creating ClickUp task with payload:\n', JSON.stringify(body, null, 2));
+admin.get('/submissions/:id', (req, res) => {
+  const sub = findSubmission(req.params.id);
+  if (!sub) return adminError(res, 404, 'not_found');
+  res.json({ status: 'ok', submission: adminSubmission(sub, applicantStepIndex(), true) });
+});
 
-    const create = await cu(`/list/${CLICKUP_LIST_ID}/task`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
-    });
+admin.post('/submissions/:id/replay', async (req, res) => {
+  const sub = findSubmission(req.params.id);
+  if (!sub) return adminError(res, 404, 'not_found');
+  log.info('admin.replay', { submissionId: sub.id });
+  const out = await outbox.replay(sub.id);
+  res.json({ status: 'ok', submission: adminSubmission(out, applicantStepIndex(), true) });
+});
 
-    const created = await create.json();
-    if (!create.ok) {
-      console.error('ClickUp create failed:', create.status, created);
-      return res.status(200).json({
-        status: 'clickup_create_failed',
-        err: created || (await create.text()),
-        debug: {
-          list: CLICKUP_LIST_ID,
-          sent_custom_fields: custom_fields.map(f => f.id)
-        }
-      });
+admin.post('/submissions/:id/steps/:step/retry', async (req, res) => {
+  try {
+    const sub = findSubmission(req.params.id);
+    if (!sub) return adminError(res, 404, 'not_found');
+    const { step } = req.params;
+    const force = String(req.query.force ?? req.body?.force) === 'true';
+    const ref = submissionRef(sub);
+    const isOutboxStep = !!sub.steps[step];
+    if (!isOutboxStep && !ENROLLMENT_STEPS.includes(step)) {
+      return adminError(res, 404, 'unknown_step', { steps: [...Object.keys(sub.steps), ...ENROLLMENT_STEPS] });
+    }
+    if (step !== 'create' && !ref.taskId && !ref.customTaskId) {
+      return adminError(res, 409, 'no_task', { detail: 'The task was never created; replay the submission instead' });
     }
 
-    const taskId = created?.id;
+    if (isOutboxStep) {
+      const cur = sub.steps[step];
+      if (outbox.busy(sub.id)) return adminError(res, 409, 'submission_busy');
+      if (cur.status === 'done' && (step === 'create' || !force)) {
+        return adminError(res, 409, 'step_already_done',
+          { detail: step === 'create' ? 'Re-running create would make a second task' : 'Pass force=true to repeat it' });
+      }
+      if ((step === 'upload' || step === 'thumbnail') && !(sub.file?.path && fs.existsSync(sub.file.path))) {
+        return adminError(res, 409, 'video_not_stored', { detail: 'The video is removed once a submission is delivered' });
+      }
+      log.info('admin.step_retry', { submissionId: sub.id, step, force });
+      const out = await outbox.rerun(sub.id, step);
+      return res.json({ status: 'ok', submission: adminSubmission(out, applicantStepIndex(), true) });
+    }
 
-    // Optional video upload + set a URL/Text field with the uploaded URL
-    let uploadMsg = null;
-    if (taskId && req.file && req.file.buffer?.length) {
-      try {
-        console.log('uploading file:', {
-          name: req.file.originalname,
-          size: req.file.size,
-          type: req.file.mimetype
-        });
+    // cohort / paymentMethod: re-apply the value the applicant last chose
+    const last = enrollment.get(ref)?.steps?.[step];
+    if (!last) return adminError(res, 409, 'nothing_to_retry', { detail: `The applicant has not chosen a ${step} yet` });
+    if (last.status === 'done' && !force) return adminError(res, 409, 'step_already_done', { detail: 'Pass force=true to repeat it' });
+    log.info('admin.step_retry', { submissionId: sub.id, step, force });
+    try {
+      await programOf(sub).records.setField(ref, step, last.value.optionId, { label: last.value.label });
+      if (step === 'cohort') forgetCohortCounts(programOf(sub), last.value.optionId);
+      enrollment.record(ref, step, { status: 'done', value: last.value });
+    } catch (e) {
+      if (!(e instanceof BackendError)) throw e;
+      log.error('admin.step_retry_failed', { submissionId: sub.id, step, err: e });
+      enrollment.record(ref, step, { status: 'failed', value: last.value, error: errorInfo(e) });
+    }
+    return res.json({ status: 'ok', submission: adminSubmission(findSubmission(sub.id), applicantStepIndex(), true) });
+  } catch (e) {
+    log.error('route.failed', { route: '/admin/submissions/:id/steps/:step/retry', err: e });
+    return adminError(res, 500, 'server_error');
+  }
+});
 
-        // Build WHATWG/Undici FormData
-        const form = new FormData();
-        const blob = new Blob([req.file.buffer], {
-          type: req.file.mimetype || 'application/octet-stream'
-        });
-        form.append('attachment', blob, req.file.originalname || 'video.mp4');
-
-        const up = await fetch(
-          `https://api.clickup.com/api/v2/task/${taskId}/attachment?custom_task_ids=true&team_id=${process.env.CLICKUP_TEAM_ID}`,
-          {
-            method: 'POST',
-            headers: { Authorization: CLICKUP_TOKEN },
-            body: form
-          }
-        );
-        const upJson = await up.json().catch(() => ({}));
-        if (!up.ok) {
-          uploadMsg = { step: 'upload', status: up.status, body: upJson };
-          console.warn('Attachment upload failed', uploadMsg);
-        } else {
-          const attUrl =
-            upJson?.url ||
-            upJson?.attachment?.url ||
-            (Array.isArray(upJson) && upJson[0]?.url) ||
-            null;
-
-          console.log('upload success', {
-            attId:
-              upJson?.id ||
-              upJson?.attachment?.id ||
-              (Array.isArray(upJson) && upJson[0]?.id) ||
-              null,
-            attUrl
-          });
+// ---------------- ClickUp webhooks -----------------------------------------
+// POST /webhooks/clickup receives taskStatusUpdated deliveries for each program's list; matching
+// transitions in src/workflow.json run as a "workflow" outbox (link -> comment -> email),
+// so a failed comment is retried without re-sending anything that already went out.
 
-          if (attUrl && CF.DCA_VIDEO_URL) {
-            const setUrl = await fetch(
-              `https://api.clickup.com/api/v2/task/${taskId}/field/${CF.DCA_VIDEO_URL}?custom_task_ids=true&team_id=${process.env.CLICKUP_TEAM_ID}`,
-              {
-                method: 'POST',
-                headers: { Authorization: CLICKUP_TOKEN, 'Content-Type': 'application/json' },
-                body: JSON.stringify({ value: attUrl })
-              }
-            );
-            console.log('Set URL field response', setUrl.status, await setUrl.text().catch(()=>''));
-          }
-
-          uploadMsg = 'ok';
+const webhookRegistry = createWebhookRegistry();
+const deliveries = createDeliveryLog();
+
+/** Placeholder values for workflow comments and emails */
+function workflowValues(item, results) {
+  const a = results.applicant || {};
+  const l = results.link || {};
+  return {
+    program: programOf(item).name,
+    fullName: a.fullName,
+    email: a.email,
+    taskId: item.meta.taskId,
+    customTaskId: a.customTaskId,
+    status: item.meta.to,
+    previousStatus: item.meta.from,
+    link: l.link,
+    linkExpires: l.expiresAt ? longDate(l.expiresAt) : null
+  };
+}
+
+const workflow = createOutbox({
+  name: 'workflow',
+  steps: [
+    {
+      name: 'applicant',
+      async run(item) {
+        const record = await programOf(item).records.getApplication({ taskId: item.meta.taskId });
+        if (!record) throw new StepError(`task ${item.meta.taskId} not found`, { status: 404, retryable: false });
+        return { email: record.fields.email || null, fullName: record.name || null, customTaskId: record.customId || null };
+      }
+    },
+    {
+      name: 'link',
+      async run(item, results) {
+        if (!item.task.link) return { skipped: true };
+        if (!process.env.APPLICANT_LINK_URL) throw new StepError('APPLICANT_LINK_URL is not set', { retryable: false });
+        const a = results.applicant;
+        try {
+          const { token, expiresAt } = mintToken(
+            { taskId: item.meta.taskId, customTaskId: a.customTaskId, email: a.email, program: item.meta.program },
+            { ttlHours: WORKFLOW.linkTtlHours }
+          );
+          return { link: applicantLink(process.env.APPLICANT_LINK_URL, token), expiresAt };
+        } catch (e) {
+          if (e instanceof TokenError) throw new StepError(e.code, { retryable: false });
+          throw e;
         }
-      } catch (e) {
-        uploadMsg = { step: 'exception', err: String(e) };
-        console.warn('Attachment upload error', e);
       }
-    } else {
-      if (!req.file) console.log('no file in request; skipping upload step');
+    },
+    {
+      name: 'comment',
+      async run(item, results) {
+        if (!item.task.comment) return { skipped: true };
+        const note = await programOf(item).records.addNote({ taskId: item.meta.taskId }, fill(item.task.comment, workflowValues(item, results), false));
+        return { id: note.id };
+      }
+    },
+    {
+      name: 'email',
+      async run(item, results) {
+        if (!item.task.email) return { skipped: true };
+        const values = workflowValues(item, results);
+        if (!values.email) return { skipped: 'no_email' };
+        const mail = mailer.send(item.task.email, { to: values.email, values, requestId: item.requestId });
+        return mail ? { mailId: mail.id } : { skipped: 'mail_not_sent' };
+      }
     }
+  ]
+});
 
-    return res.json({
+app.post('/webhooks/clickup', (req, res) => {
+  const payload = req.body || {};
+  const secret = webhookRegistry.secretFor(payload.webhook_id);
+  if (!verifyWebhookSignature(req.rawBody, req.get('x-signature'), secret)) {
+    metrics.webhookEvents.inc({ result: 'invalid_signature' });
+    log.warn('webhook.invalid_signature', { webhookId: payload.webhook_id, secretKnown: !!secret });
+    return res.status(401).json({ status: 'error', message: 'invalid_signature' });
+  }
+
+  const change = statusChange(payload);
+  if (!change) {
+    metrics.webhookEvents.inc({ result: 'ignored' });
+    return res.json({ status: 'ok', result: 'ignored' });
+  }
+
+  // Redeliveries carry the same history item id
+  const key = `${change.taskId}:${change.historyId}`;
+  if (deliveries.seen(key)) {
+    metrics.webhookEvents.inc({ result: 'duplicate' });
+    log.info('webhook.duplicate', { taskId: change.taskId, historyId: change.historyId });
+    return res.json({ status: 'ok', result: 'duplicate' });
+  }
+
+  // Registered through /admin/webhooks: the program whose list it watches (hand-made ones: the default)
+  const prog = PROGRAMS.get(webhookRegistry.get(change.webhookId)?.program) || PROGRAMS.default;
+  const transition = WORKFLOW.match(change);
+  const item = transition
+    ? workflow.enqueue({ requestId: req.id, task: transition, meta: { ...change, program: programClaim(prog) } })
+    : null;
+  deliveries.remember(key, { workflowId: item?.id || null });
+  metrics.webhookEvents.inc({ result: item ? 'accepted' : 'ignored' });
+  log.info('webhook.status_changed', { taskId: change.taskId, from: change.from, to: change.to, workflowId: item?.id || null });
+
+  res.json({ status: 'ok', result: item ? 'accepted' : 'ignored', workflowId: item?.id || null });
+  if (item) workflow.deliver(item.id).catch(e => log.error('workflow.deliver_error', { workflowId: item.id, err: e }));
+});
+
+// Registration (admin), one webhook per program list: body { program? (default program), endpoint? }.
+// The endpoint defaults to PUBLIC_URL, or this request's own host, + /webhooks/clickup
+admin.get('/webhooks', async (_req, res) => {
+  try {
+    const lists = PROGRAMS.list().map(prog => String(prog.listId));
+    const remote = (await clickup.listWebhooks()).filter(w => lists.includes(String(w.list_id)));
+    res.json({ status: 'ok', registered: webhookRegistry.list(), clickup: remote.map(({ secret, ...w }) => w) });
+  } catch (e) {
+    if (!(e instanceof BackendError)) throw e;
+    adminError(res, 502, e.code, { details: e.body });
+  }
+});
+
+admin.post('/webhooks', async (req, res) => {
+  const prog = PROGRAMS.get(req.body?.program);
+  if (!prog) return adminError(res, 404, 'unknown_program', { programs: PROGRAMS.list().map(p => p.id) });
+  try {
+    const base = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+    const endpoint = req.body?.endpoint || `${base.replace(/\/+$/, '')}/webhooks/clickup`;
+    const events = ['taskStatusUpdated'];
+    const r = await clickup.createWebhook({ endpoint, events, list_id: Number(prog.listId) });
+    const hook = r.webhook || r;
+    const id = r.id || hook.id;
+    webhookRegistry.save({ id, secret: hook.secret, endpoint, program: prog.id, listId: prog.listId, events });
+    log.info('webhook.registered', { webhookId: id, program: prog.id, endpoint });
+    res.status(201).json({ status: 'ok', webhook: { id, endpoint, program: prog.id, listId: prog.listId, events } });
+  } catch (e) {
+    if (!(e instanceof BackendError)) throw e;
+    adminError(res, 502, e.code, { details: e.body });
+  }
+});
+
+admin.delete('/webhooks/:id', async (req, res) => {
+  try {
+    await clickup.deleteWebhook(req.params.id);
+  } catch (e) {
+    if (!(e instanceof BackendError)) throw e;
+    if (e.code !== 'clickup_not_found') return adminError(res, 502, e.code, { details: e.body });
+  }
+  webhookRegistry.remove(req.params.id);
+  log.info('webhook.unregistered', { webhookId: req.params.id });
+  res.json({ status: 'ok', removed: req.params.id });
+});
+
+// Workflow runs triggered by webhooks (same shape as /debug/outbox)
+admin.get('/workflow', (req, res) => {
+  const { status } = req.query;
+  res.json(workflow.list(w => !status || w.status === status)
+    .map(w => ({ ...outboxSummary(w), program: programOf(w).id, taskId: w.meta.taskId, from: w.meta.from, to: w.meta.to })));
+});
+admin.post('/workflow/:id/replay', async (req, res) => {
+  let run = null;
+  try { run = workflow.replay(req.params.id); } catch (_) { /* malformed id */ }
+  if (!run) return adminError(res, 404, 'not_found');
+  res.json(outboxSummary(await run));
+});
+
+// ---------------- Funnel reporting ------------------------------------------
+// Weekly admissions funnel straight from the ClickUp list (see src/reports.js)
+
+const REPORT_MAX_PAGES = Number(process.env.REPORT_MAX_PAGES || 100);
+
+/** Dropdown label via the program's option cache (task values are option ids or orderindexes); other fields as-is */
+function reportLabel(prog, fieldId, task) {
+  const v = (task.custom_fields || []).find(f => f.id === fieldId)?.value;
+  if (v === undefined || v === null || v === '') return null;
+  const opts = prog.options.get(fieldId);
+  if (!opts) return fieldDisplayValue(task, fieldId);
+  const o = opts.find(x => x.id === v) || opts.find(x => x.orderindex !== undefined && x.orderindex === Number(v));
+  return o ? o.name : null;
+}
+
+/** Every task in the program's list (closed included) as report rows; truncated when REPORT_MAX_PAGES is hit */
+async function reportRows(prog) {
+  await prog.options.ensureFresh();
+  const ctx = {
+    cf: prog.CF,
+    stages: STAGES,
+    label: (fieldId, task) => reportLabel(prog, fieldId, task),
+    paymentKeys: Object.fromEntries(Object.entries(prog.paymentOptions).map(([k, id]) => [id, k]))
+  };
+  const rows = [];
+  let truncated = true;
+  for (let page = 0; page < REPORT_MAX_PAGES; page++) {
+    const j = await clickup.listTasks(prog.listId, { include_closed: true, page });
+    const tasks = j.tasks || [];
+    rows.push(...tasks.map(t => reportRow(t, ctx)));
+    if (j.last_page || tasks.length < 100) {
+      truncated = false;
+      break;
+    }
+  }
+  if (truncated) log.warn('report.truncated', { program: prog.id, pages: REPORT_MAX_PAGES, rows: rows.length });
+  return { rows, truncated };
+}
+
+/** Filters from the query string, or null after answering 400 */
+function reportQuery(req, res) {
+  try {
+    return parseReportQuery(req.query);
+  } catch (e) {
+    if (!e.code) throw e;
+    adminError(res, 400, e.code);
+    return null;
+  }
+}
+
+const reportFilters = ({ fromMs, toMs, ...f }) => f;
+
+// GET /admin/reports/funnel?program=&from=&to=&cohort=&source=&groupBy=cohort|source|month|week
+admin.get('/reports/funnel', async (req, res) => {
+  const prog = queryProgram(req, res);
+  if (!prog) return;
+  const f = reportQuery(req, res);
+  if (!f) return;
+  try {
+    const { rows, truncated } = await reportRows(prog);
+    res.json({
       status: 'ok',
-      taskId,
-      customTaskId: created?.custom_id || null,
-      taskUrl: created?.url,
-      upload: uploadMsg || 'ok'
+      program: prog.id,
+      generatedAt: new Date().toISOString(),
+      filters: reportFilters(f),
+      truncated,
+      ...funnelReport(rows, f)
     });
-  } catch (err) {
-    console.error('apply error', err);
-    return res.status(200).json({ status: 'server_error', detail: String(err) });
+  } catch (e) {
+    if (!(e instanceof BackendError)) throw e;
+    adminError(res, 502, e.code, { details: e.body });
+  }
+});
+
+// GET /admin/reports/funnel/export?format=csv|xlsx&pii=true (+ the funnel filters; groupBy is ignored)
+admin.get('/reports/funnel/export', async (req, res) => {
+  const prog = queryProgram(req, res);
+  if (!prog) return;
+  const f = reportQuery(req, res);
+  if (!f) return;
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!['csv', 'xlsx'].includes(format)) return adminError(res, 400, 'invalid_format', { allowed: ['csv', 'xlsx'] });
+  const pii = String(req.query.pii).toLowerCase() === 'true';
+
+  let rows;
+  let truncated;
+  try {
+    ({ rows, truncated } = await reportRows(prog));
+  } catch (e) {
+    if (!(e instanceof BackendError)) throw e;
+    return adminError(res, 502, e.code, { details: e.body });
+  }
+  rows = filterRows(rows, f);
+  const columns = exportColumns(pii);
+  // Who pulled applicant contact details, and how many
+  log.info('report.exported', { program: prog.id, format, pii, rows: rows.length, filters: reportFilters(f), requestId: req.id });
+
+  const name = `funnel-${prog.id}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.set({
+    'Content-Disposition': `attachment; filename="${name}"`,
+    'Cache-Control': 'no-store',
+    'X-Report-Rows': String(rows.length),
+    'X-Report-Truncated': String(truncated)
+  });
+  if (format === 'xlsx') {
+    return res
+      .type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+      .send(xlsxWorkbook({ sheet: 'Funnel', columns, rows }));
   }
+  res.type('text/csv; charset=utf-8').send(toCsv(columns, rows));
 });
 
+// Field rules for the Shopify form (server is the source of truth)
+api.get('/apply/schema', (req, res) => res.json(req.program.schema));
+
+/** Normalized form answers without transport-only keys */
+function formAnswers(p) {
+  const { videoUploadId, ...answers } = p;
+  return answers;
+}
+
 /**
- * Set Cohort on an existing task (called from the approved/cohort page)
- * Body: {
- *   taskId?: string,         // numeric/internal id
- *   customTaskId?: string,   // custom id (e.g., DTCA-2601) if using custom task IDs
- *   cohort: 'october' | 'january' | full label
- * }
+ * Main submit route
+ * Accepts multipart/form-data with optional "videoFile"
  */
-app.post('/api/cohort', async (req, res) => {
+api.post('/apply', limitByIp('apply'), upload.single('videoFile'), requestId(), async (req, res) => {
   try {
-    const { taskId, customTaskId, cohort } = req.body || {};
-    if (!cohort) {
-      return res.status(400).json({ status: 'error', message: 'cohort is required' });
+    // Dropdown options: waits briefly on a cold cache only; stale entries refresh in the background.
+    // Still not loaded after that: dropdown values are not checked here and the create step maps them.
+    // Backends that store labels never wait on ClickUp for them.
+    const prog = req.program;
+    if (needsOptionIds(prog)) await prog.options.ensureFresh({ waitMs: OPTION_COLD_WAIT_MS });
+    else prog.options.ensureFresh();
+
+    // Normalize payload (Shopify -> server), by the program's form rules; value aliases from the
+    // field mapping apply before validation, so "true" passes a Yes/No rule as "Yes"
+    const p = applyAliases(prog.fieldMap, normalizePayload(req, prog.schema));
+
+    // Honeypot / fill time: bots are turned away before any validation feedback
+    const bot = botSignal(req.body);
+    if (bot) return rejectSpam(req, res, 'apply', bot);
+
+    // Idempotency-Key is scoped to the program and bound to who sent what: the same key with
+    // another email or other answers is refused, never answered with someone else's submission.
+    // The video counts by upload id (or size), since a replayed chunked upload is already taken.
+    const idemKey = req.get('idempotency-key');
+    const idemScope = programClaim(prog);
+    const fingerprint = idemKey
+      ? requestFingerprint({
+        scope: prog.id,
+        email: p.email,
+        payload: { ...formAnswers(p), email: undefined, video: p.videoUploadId || req.file?.size || null }
+      })
+      : null;
+    const priorFor = () => {
+      const rec = idemKey && idempotency.lookup(idemKey, idemScope);
+      return rec && outbox.get(rec.submissionId) ? rec : null;
+    };
+    /** 422 for a reused key, the original submission for a true repeat, null when the key is new */
+    const answerReplay = async rec => {
+      if (rec.fingerprint !== fingerprint) {
+        log.warn('idempotency.key_reused', { submissionId: rec.submissionId, requestId: req.id });
+        return sendError(req, res, 'idempotency_key_reused',
+          { status: 422, body: { status: 'error', message: 'This Idempotency-Key was already used for a different application.' } });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.json(applyResponse(await outbox.current(rec.submissionId)));
+    };
+
+    // === Idempotency-Key: a repeat returns the original submission before anything is re-checked ===
+    const replayOf = priorFor();
+    if (replayOf) return answerReplay(replayOf);
+
+    // Validate every field at once; dropdown values are checked against the warmed options
+    const errors = validate(prog.schema, p, {
+      matchesOption: (cfKey, raw) => {
+        const fieldId = prog.CF[cfKey];
+        if (!fieldId || !prog.options.has(fieldId)) return undefined;
+        return !!optionIdFor(prog, fieldId, raw);
+      }
+    });
+
+    // === Intro video per program (multipart file, or a completed chunked upload) ===
+    const chunked = !req.file && p.videoUploadId && prog.video !== 'none' ? uploads.get(p.videoUploadId) : null;
+    if (prog.video === 'none') {
+      if (req.file?.size || p.videoUploadId) errors.push({ field: 'videoFile', message: 'This program does not take a video upload.' });
+    } else if (p.videoUploadId && !req.file && chunked?.status !== 'complete') {
+      errors.push({ field: 'videoFile', message: 'Video upload not found or not finished. Please upload it again.' });
+    } else if (prog.video === 'required' && !chunked && (!req.file || !req.file.size)) {
+      errors.push({ field: 'videoFile', message: 'Please upload a short intro video (required).' });
     }
-    if (!CF.COHORT) {
-      return res.status(500).json({ status: 'error', message: 'CF_COHORT not configured on server' });
+    if (errors.length) {
+      return sendValidation(req, res, errors);
     }
 
-    // Resolve the ClickUp dropdown option id from label/key
-    const optionId = resolveCohortOptionId(cohort);
-    if (!optionId) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Unknown cohort value; expected "october" or "january" (or DTCA-2502/DTCA-2601 label).'
-      });
+    // CAPTCHA + per-IP/per-email limits, before any ffprobe work is spent on the upload
+    if (await screenSubmission(req, res, p)) return;
+
+    // === What the video actually is: duration, resolution, container/codec (corrupt / renamed files fail here) ===
+    let video = null;
+    const candidate = req.file?.size ? req.file : chunked ? uploads.file(chunked.id) : null;
+    if (candidate) {
+      const check = await videoChecks.inspect(candidate);
+      if (check.reason !== 'disabled') metrics.videoChecks.inc({ result: check.ok ? 'ok' : check.reason });
+      if (check.ok) {
+        video = check.info;
+      } else if (check.reason === 'unavailable') {
+        log.warn('video.check_unavailable', { error: check.error, optional: videoChecks.optional, requestId: req.id });
+        // An unchecked video only goes through with VIDEO_CHECK_OPTIONAL=true
+        if (!videoChecks.optional) {
+          const message = 'We could not check your video right now. Please try again in a few minutes.';
+          return sendError(req, res, 'video_check_unavailable', { status: 200, body: { status: 'error', message } }, { detail: message });
+        }
+      } else if (check.message) {
+        log.info('video.rejected', { reasons: (check.problems || [check]).map(x => x.reason), info: check.info, requestId: req.id });
+        return sendValidation(req, res, (check.problems || [check]).map(x => ({ field: 'videoFile', message: x.message })));
+      }
     }
 
-    // Decide which id to use based on env
-    const useCustom = String(process.env.CLICKUP_CUSTOM_TASK_IDS).toLowerCase() === 'true';
-    const idToUse = useCustom ? (customTaskId || taskId) : taskId;
-    if (!idToUse) {
-      return res.status(400).json({
-        status: 'error',
-        message: useCustom
-          ? 'Missing customTaskId (or taskId fallback) while CLICKUP_CUSTOM_TASK_IDS=true'
-          : 'Missing taskId'
-      });
+    // Remote duplicate search is the last await before enqueue, so the idempotency
+    // check + enqueue below cannot interleave with a concurrent retry
+    const remoteDup = DUPLICATE_SEARCH === 'clickup' ? await findTaskByEmail(p.email, prog) : null;
+    const prior = priorFor();
+    if (prior) return answerReplay(prior);
+
+    // === Repeat applicant (same email/phone) ===
+    const dup = remoteDup || findPriorApplication(p, prog);
+    if (dup && DUPLICATE_POLICY === 'reject') {
+      log.info('dedupe.rejected', { matchedOn: dup.matchedOn, taskId: dup.taskId });
+      metrics.applications.inc({ outcome: 'duplicate_rejected' });
+      const message = 'It looks like you have already applied. Please contact admissions if you need to update your application.';
+      return sendError(req, res, 'duplicate_application',
+        { status: 200, body: { status: 'duplicate_application', field: dup.matchedOn, message } },
+        { detail: message, matchedOn: dup.matchedOn });
     }
+    const mergeInto = dup && DUPLICATE_POLICY === 'comment' && dup.taskId ? dup : null;
 
-    // Build ClickUp endpoint (include custom_task_ids/team_id only when using custom ids)
-    const base = `https://api.clickup.com/api/v2/task/${encodeURIComponent(idToUse)}/field/${CF.COHORT}`;
-    const qs = (useCustom && process.env.CLICKUP_TEAM_ID)
-      ? `?custom_task_ids=true&team_id=${process.env.CLICKUP_TEAM_ID}`
-      : '';
-    const url = `${base}${qs}`;
+    // A concurrent submission may have claimed the same chunked upload since it was checked above
+    let videoFile = req.file?.size ? req.file : null;
+    if (!videoFile && chunked) {
+      try {
+        videoFile = uploads.take(chunked.id);
+      } catch (e) {
+        if (!(e instanceof UploadError)) throw e;
+        return sendValidation(req, res, { field: 'videoFile', message: 'Video upload not found or not finished. Please upload it again.' });
+      }
+    }
+    if (videoFile) metrics.uploadBytes.observe({ source: req.file ? 'form' : 'chunked' }, videoFile.size || 0);
+
+    // Build custom_fields from the field mapping (description-only fields are skipped); for a
+    // ClickUp primary without loaded options the dropdowns are left for the create step to map
+    const deferredDropdowns = [];
+    const pushDropdown = (fields, fieldId, raw) => (prog.options.loaded || !needsOptionIds(prog)
+      ? pushDropdownOrText(prog, fields, fieldId, raw)
+      : fieldId && raw && deferredDropdowns.push({ fieldId, raw }));
+    const custom_fields = buildCustomFields(prog.fieldMap, prog.CF, p, { pushDropdown });
+
+    // Eligibility screening: score + decision fields (when mapped) and a block in the description
+    const screening = scoreApplication(prog.scoring, p);
+    if (prog.CF.SCORE) custom_fields.push({ id: prog.CF.SCORE, value: screening.score });
+    pushDropdown(custom_fields, prog.CF.DECISION, screening.label);
+    if (prog.CF.VIDEO_DURATION && video?.durationSeconds != null) {
+      custom_fields.push({ id: prog.CF.VIDEO_DURATION, value: video.durationSeconds });
+    }
+    metrics.screeningDecisions.inc({ decision: screening.decision });
+    log.info('screening.scored', { decision: screening.decision, score: screening.score, disqualified: screening.disqualifiers.length });
 
-    const r = await fetch(url, {
-      method: 'POST',
-      headers: { Authorization: CLICKUP_TOKEN, 'Content-Type': 'application/json' },
-      body: JSON.stringify({ value: optionId })
+    const body = {
+      name: p.fullName || `Application ${new Date().toISOString()}`,
+      description: `${buildTaskDescription(p, prog)}\n\n${formatScreening(screening)}${video ? `\n\n${formatVideoInfo(video)}` : ''}`,
+      custom_fields
+    };
+    if (deferredDropdowns.length) body.deferredDropdowns = deferredDropdowns;
+    if (dup && !mergeInto) {
+      body.tags = [DUPLICATE_TAG];
+      body.description = `**Possible duplicate** of ${dup.taskUrl || dup.taskId || 'submission ' + dup.submissionId} (matched on ${dup.matchedOn})\n\n${body.description}`;
+    }
+
+    // Journal first (answers + video on disk), then deliver. If ClickUp is down the
+    // worker keeps retrying in the background and the applicant still gets an id.
+    const sub = outbox.enqueue({
+      requestId: req.id,
+      task: body,
+      file: videoFile,
+      meta: {
+        program: programClaim(prog),
+        video: video || undefined,
+        fullName: p.fullName,
+        email: p.email,
+        duplicateOf: dup ? (dup.taskId || dup.submissionId) : undefined,
+        mergeInto: mergeInto ? { taskId: mergeInto.taskId, taskUrl: mergeInto.taskUrl } : undefined,
+        answers: formAnswers(p) // raw answers for non-ClickUp record backends
+      }
     });
+    if (idemKey) idempotency.remember(idemKey, sub.id, { scope: idemScope, fingerprint });
+    applicants.record(p, sub.id);
+
+    const out = applyResponse(await outbox.deliver(sub.id));
+    metrics.applications.inc({ outcome: out.status === 'queued' ? 'queued' : out.merged ? 'merged' : 'created' });
+    afterResponse('application', () => notifyApplication(prog, p, out, { hasVideo: !!videoFile, requestId: req.id }));
+    // v2: 202 while ClickUp delivery is still pending, 200 when merged into an existing task
+    return res.status(okStatus(req, out.status === 'queued' ? 202 : out.merged ? 200 : 201)).json(out);
+  } catch (err) {
+    log.error('route.failed', { route: '/api/apply', err });
+    return sendServerError(req, res, err, { status: 200, body: { status: 'server_error', detail: String(err) } });
+  } finally {
+    // Multer's temp file is moved into the outbox on success; anything left is garbage
+    if (req.file?.path) fs.rm(req.file.path, { force: true }, () => {});
+  }
+});
 
-    const j = await r.json().catch(() => ({}));
-    if (!r.ok) {
-      console.error('ClickUp cohort update failed', r.status, j);
-      return res.status(400).json({ status: 'error', message: 'clickup_update_failed', details: j });
-    }
+// ---------------- Resumable video uploads (tus-style) ----------------------
+// 1. POST  /api/uploads              { filename, size, mimetype } -> { uploadId, offset }
+// 2. PATCH /api/uploads/:id          raw bytes, header Upload-Offset -> { offset }
+//    HEAD  /api/uploads/:id          -> Upload-Offset header (where to resume)
+// 3. POST  /api/uploads/:id/complete -> ready; pass uploadId as "videoUploadId" to /api/apply
+
+function sendUploadError(req, res, e) {
+  if (!(e instanceof UploadError)) {
+    log.error('route.failed', { route: '/api/uploads', err: e });
+    return sendServerError(req, res, e, { status: 500, body: { status: 'error', message: 'server_error' } });
+  }
+  if (e.offset !== undefined) res.set('Upload-Offset', String(e.offset));
+  if (e.field) {
+    const err = { field: e.field, message: e.message };
+    return sendError(req, res, e.code, { status: e.status, body: validationError(err) }, { detail: e.message, errors: [err] });
+  }
+  return sendError(req, res, e.code, { status: e.status, body: { status: 'error', message: e.message, offset: e.offset } },
+    { detail: e.message, offset: e.offset });
+}
+
+api.post('/uploads', limitByIp('uploads'), (req, res) => {
+  try {
+    const { filename, size, mimetype } = req.body || {};
+    const u = uploads.init({ filename, size, mimetype });
+    res.status(201).set('Upload-Offset', '0').json({ status: 'ok', uploadId: u.id, offset: 0, size: u.size, expiresAt: u.expiresAt });
+  } catch (e) {
+    sendUploadError(req, res, e);
+  }
+});
+
+api.head('/uploads/:id', (req, res) => {
+  const u = uploads.get(req.params.id);
+  if (!u) return res.status(404).end();
+  res.set({ 'Upload-Offset': String(u.offset), 'Upload-Length': String(u.size), 'Cache-Control': 'no-store' }).status(200).end();
+});
+
+api.get('/uploads/:id', (req, res) => {
+  const u = uploads.get(req.params.id);
+  if (!u) return sendError(req, res, 'upload_not_found', { status: 404, body: { status: 'error', message: 'upload not found' } });
+  res.json({ status: 'ok', uploadId: u.id, state: u.status, offset: u.offset, size: u.size, expiresAt: u.expiresAt });
+});
+
+api.patch('/uploads/:id', async (req, res) => {
+  try {
+    const offset = await uploads.append(req.params.id, req.get('upload-offset'), req);
+    res.set('Upload-Offset', String(offset)).json({ status: 'ok', offset });
+  } catch (e) {
+    sendUploadError(req, res, e);
+  }
+});
 
-    return res.json({ status: 'ok', idUsed: idToUse, usedCustom: useCustom, cohort, optionId });
+api.post('/uploads/:id/complete', (req, res) => {
+  try {
+    const u = uploads.complete(req.params.id);
+    res.json({ status: 'ok', uploadId: u.id, size: u.size });
   } catch (e) {
-    console.error('/api/cohort error', e);
-    return res.status(500).json({ status: 'error', message: 'server_error' });
+    sendUploadError(req, res, e);
   }
 });
+
 /**
- * Set Payment Method on an existing task.
- * Body: {
- *   taskId?: string,         // internal id
- *   customTaskId?: string,   // custom id (if CLICKUP_CUSTOM_TASK_IDS=true)
- *   method: 'pay_in_full' | 'pay_as_you_go' | 'climb_loan'
- * }
+ * Cohorts an applicant can pick right now (enrollment open, seats left)
+ * ?all=true also lists closed/full/upcoming ones with their state
  */
+api.get('/cohorts', async (req, res) => {
+  try {
+    if (!req.program.CF.COHORT) {
+      return sendError(req, res, 'field_not_configured',
+        { status: 500, body: { status: 'error', message: 'CF_COHORT not configured on server' } }, { detail: 'CF_COHORT' });
+    }
+    const all = String(req.query.all).toLowerCase() === 'true';
+    const catalog = (await cohortCatalog(req.program)).filter(c => all ? c.state !== 'unconfigured' : c.state === 'open');
+    return res.json({ status: 'ok', cohorts: catalog.map(publicCohort) });
+  } catch (e) {
+    log.error('route.failed', { route: '/api/cohorts', err: e });
+    return sendServerError(req, res, e, { status: 500, body: { status: 'error', message: 'server_error' } });
+  }
+});
+
 /**
- * Set Payment Method on an existing task.
+ * Set Cohort on an existing task (called from the approved/cohort page)
+ * Requires the applicant token from /api/apply (or POST /api/applicant-token).
  * Body: {
- *   taskId?: string,         // internal id
- *   customTaskId?: string,   // custom id (if CLICKUP_CUSTOM_TASK_IDS=true)
- *   method: 'pay_in_full' | 'pay_as_you_go' | 'climb_loan'
+ *   token?: string,          // or Authorization: Bearer <token> / ?token=
+ *   taskId?: string,         // numeric/internal id (must match the token)
+ *   customTaskId?: string,   // custom id (e.g., DTCA-2601), used when no internal taskId is known
+ *   cohort: code | label | alias (e.g. 'january') | option name/id, see GET /api/cohorts
  * }
+ * Closed, not-yet-open and full cohorts are rejected with 409.
  */
-app.post('/api/payment-method', express.json(), async (req, res) => {
+api.post('/cohort', requireApplicant, async (req, res) => {
+  let release = null;
   try {
-    if (!CF.PAYMENT_METHOD) {
-      return res.status(500).json({ status: 'error', message: 'CF_PAYMENT_METHOD not configured' });
+    const { cohort } = req.body || {};
+    const { taskId, customTaskId } = req.applicant;
+    if (!cohort) {
+      return sendError(req, res, 'cohort_required', { status: 400, body: { status: 'error', message: 'cohort is required' } });
+    }
+    const prog = req.program;
+    if (!prog.CF.COHORT) {
+      return sendError(req, res, 'field_not_configured',
+        { status: 500, body: { status: 'error', message: 'CF_COHORT not configured on server' } }, { detail: 'CF_COHORT' });
     }
 
-    const { taskId, customTaskId, method } = req.body || {};
-    const resolvedTaskId = await resolveTaskId({ taskId, customTaskId });
-    if (!resolvedTaskId && String(process.env.CLICKUP_CUSTOM_TASK_IDS).toLowerCase() !== 'true') {
-      return res.status(400).json({ status: 'error', message: 'taskId required (or customTaskId if using custom ids)' });
+    // Resolve the ClickUp dropdown option from the catalog and check it is selectable,
+    // with seats counted fresh while no other pick in this program is in flight
+    release = await cohortPickLock(prog);
+    const ref = { taskId, customTaskId };
+    const previous = enrollment.get(ref)?.steps?.cohort;
+    const catalog = await cohortCatalog(prog, { fresh: true });
+    const entry = matchCohort(catalog, cohort);
+    if (!entry) {
+      const open = catalog.filter(c => c.state === 'open').map(c => c.code);
+      const message = `Unknown cohort value; expected one of: ${open.join(', ') || '(no cohorts open)'}.`;
+      return sendError(req, res, 'unknown_cohort', { status: 400, body: { status: 'error', message } },
+        { detail: message, open });
+    }
+    // Re-picking the cohort the task already holds keeps its own seat, even when that cohort is full
+    const holdsSeat = entry.state === 'full' && previous?.status === 'done' && previous.value?.optionId === entry.optionId;
+    if (entry.state !== 'open' && !holdsSeat) {
+      return sendError(req, res, `cohort_${entry.state}`,
+        { status: 409, body: { status: 'error', message: `cohort_${entry.state}`, cohort: publicCohort(entry) } },
+        { cohort: publicCohort(entry) });
+    }
+    const optionId = entry.optionId;
+
+    // Internal id when we have it, otherwise the custom id (+ custom_task_ids/team_id)
+    const usedCustom = !taskId && !!customTaskId;
+    const value = { optionId, label: entry.code };
+    try {
+      await prog.records.setField(ref, 'cohort', optionId, { label: entry.code });
+      enrollment.record(ref, 'cohort', { status: 'done', value });
+    } catch (e) {
+      if (!(e instanceof BackendError)) throw e;
+      log.error('records.set_cohort.failed', { taskId: taskId || customTaskId, err: e });
+      enrollment.record(ref, 'cohort', { status: 'failed', value, error: errorInfo(e) });
+      return sendError(req, res, 'clickup_update_failed',
+        { status: 400, body: { status: 'error', message: 'clickup_update_failed', code: e.code, details: e.body } },
+        { clickupCode: e.code, details: e.body });
     }
 
-    // Decide which ID to send (internal vs custom)
-    const useCustom = String(process.env.CLICKUP_CUSTOM_TASK_IDS).toLowerCase() === 'true';
-    const idToUse = useCustom ? (customTaskId || resolvedTaskId) : resolvedTaskId;
-    if (!idToUse) {
-      return res.status(400).json({ status: 'error', message: 'could not resolve task id' });
+    // The new cohort gained a seat and a switched-from one lost it: recount both on the next read
+    forgetCohortCounts(prog, optionId, previous?.value?.optionId);
+
+    metrics.cohortSelections.inc({ cohort: entry.code });
+    afterResponse('cohort', () => notifyCohort(prog, req.applicant, entry, req.id));
+    return res.json({ status: 'ok', idUsed: taskId || customTaskId, usedCustom, cohort, optionId, code: entry.code });
+  } catch (e) {
+    log.error('route.failed', { route: '/api/cohort', err: e });
+    return sendServerError(req, res, e, { status: 500, body: { status: 'error', message: 'server_error' } });
+  } finally {
+    release?.();
+  }
+});
+/**
+ * Set Payment Method on an existing task.
+ * Requires the applicant token (same as /api/cohort).
+ * Body: {
+ *   token?: string,          // or Authorization: Bearer <token> / ?token=
+ *   taskId?: string,         // internal id (must match the token)
+ *   customTaskId?: string,   // custom id, used when no internal taskId is known
+ *   method: one of the program's paymentOptions keys, e.g. 'pay_in_full' | 'pay_as_you_go' | 'climb_loan'
+ * }
+ */
+api.post('/payment-method', express.json(), requireApplicant, async (req, res) => {
+  try {
+    const prog = req.program;
+    if (!prog.CF.PAYMENT_METHOD) {
+      return sendError(req, res, 'field_not_configured',
+        { status: 500, body: { status: 'error', message: 'CF_PAYMENT_METHOD not configured' } }, { detail: 'CF_PAYMENT_METHOD' });
     }
 
-    // Hard-map to the ClickUp dropdown option IDs you provided
-    const optionIdMap = {
-      pay_in_full:   '203361fe-94f4-4173-96d9-2e7335cc6be7',
-      pay_as_you_go: '5f6b1dc7-b5b4-4a30-817b-8e5e5026e3a6',
-      climb_loan:    'ff05f2a5-a7c4-42f9-8a48-bb1c6ce1eb2c'
-    };
+    const { method } = req.body || {};
+    const { taskId, customTaskId } = req.applicant;
 
-    const optionId = optionIdMap[method];
+    const optionId = Object.hasOwn(prog.paymentOptions, method) ? prog.paymentOptions[method] : null;
     if (!optionId) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Unknown method. Expected pay_in_full | pay_as_you_go | climb_loan'
-      });
+      const message = `Unknown method. Expected ${Object.keys(prog.paymentOptions).join(' | ')}`;
+      return sendError(req, res, 'unknown_payment_method', { status: 400, body: { status: 'error', message } },
+        { detail: message, allowed: Object.keys(prog.paymentOptions) });
     }
 
-    // Build endpoint with custom ids if needed
-    const base = `https://api.clickup.com/api/v2/task/${encodeURIComponent(idToUse)}/field/${CF.PAYMENT_METHOD}`;
-    const qs = (useCustom && process.env.CLICKUP_TEAM_ID)
-      ? `?custom_task_ids=true&team_id=${process.env.CLICKUP_TEAM_ID}`
-      : '';
-    const url = `${base}${qs}`;
+    const ref = { taskId, customTaskId };
+    const usedCustom = !taskId && !!customTaskId;
+    const value = { optionId, label: method };
+    try {
+      await prog.records.setField(ref, 'paymentMethod', optionId, { label: method });
+      enrollment.record(ref, 'paymentMethod', { status: 'done', value });
+    } catch (e) {
+      if (!(e instanceof BackendError)) throw e;
+      log.error('records.set_payment_method.failed', { taskId: taskId || customTaskId, err: e });
+      enrollment.record(ref, 'paymentMethod', { status: 'failed', value, error: errorInfo(e) });
+      return sendError(req, res, 'clickup_update_failed',
+        { status: 400, body: { status: 'error', message: 'clickup_update_failed', code: e.code, details: e.body } },
+        { clickupCode: e.code, details: e.body });
+    }
 
-    const r = await fetch(url, {
-      method: 'POST',
-      headers: { Authorization: process.env.CLICKUP_TOKEN, 'Content-Type': 'application/json' },
-      body: JSON.stringify({ value: optionId })
-    });
+    metrics.paymentMethods.inc({ method });
+    return res.json({ status: 'ok', method, usedCustom, fieldId: prog.CF.PAYMENT_METHOD });
+  } catch (e) {
+    log.error('route.failed', { route: '/api/payment-method', err: e });
+    return sendServerError(req, res, e, { status: 500, body: { status: 'error', message: 'server_error' } });
+  }
+});
+/**
+ * Current guarantee terms for display.
+ * With an applicant token (?token= / Bearer) the placeholders are filled from the task;
+ * ?version= serves a specific non-retired version.
+ */
+api.get('/guarantee/terms', async (req, res) => {
+  try {
+    const prog = req.program;
+    if (!req.query.version && !prog.terms.current()) {
+      return sendError(req, res, 'terms_not_configured', { status: 503, body: { ok:false, error:'terms_not_configured' } });
+    }
+    const terms = req.query.version ? prog.terms.get(String(req.query.version)) : prog.terms.current();
+    if (!terms || terms.status === 'retired') {
+      return sendError(req, res, 'unknown_terms_version', { status: 404, body: { ok:false, error:'unknown_terms_version' } }, { status: 404 });
+    }
 
-    const j = await r.json().catch(() => ({}));
-    if (!r.ok) {
-      console.error('ClickUp payment method update failed', r.status, j);
-      return res.status(400).json({ status: 'error', message: 'clickup_update_failed', details: j });
+    let values = {};
+    const token = tokenFromRequest(req);
+    if (token) {
+      let subject;
+      try {
+        subject = resolveTokenSubject(verifyRouteToken(req, token));
+      } catch (e) {
+        if (!(e instanceof TokenError)) throw e;
+        return sendError(req, res, e.code, { status: e.status, body: { ok:false, error:e.code } });
+      }
+      if (subject) {
+        const record = await prog.records.getApplication({ taskId: subject.taskId, customTaskId: subject.customTaskId });
+        if (record) values = termsValues(record, null, new Date().toISOString());
+      }
     }
 
-    return res.json({ status: 'ok', method, usedCustom: useCustom, fieldId: CF.PAYMENT_METHOD });
+    return res.json({
+      ok:true,
+      version: terms.id,
+      title: terms.title,
+      effectiveDate: terms.effectiveDate,
+      text: renderTerms(terms, values)
+    });
   } catch (e) {
-    console.error('/api/payment-method error', e);
-    return res.status(500).json({ status: 'error', message: 'server_error' });
+    log.error('route.failed', { route: '/api/guarantee/terms', err: e });
+    return sendServerError(req, res, e, { status: 500, body: { ok:false, error:'server_error' } });
   }
 });
-app.post('/api/guarantee-sign', express.json({ limit: '5mb' }), async (req, res) => {
+
+/**
+ * Sign the job guarantee.
+ * Body: { token?, termsVersion, fullName, signaturePng (data URL), signedAt? (browser time, audit only) }
+ * The PDF body is the server's copy of that terms version, never client-supplied text; fullName is
+ * required and every placeholder in the version must have a value (409 terms_values_missing otherwise).
+ * Until the program has a current terms version, the page's own termsText is signed as before
+ * (recorded as terms version "client") so the live flow keeps working.
+ * The server stamps the time and records signer metadata; terms/signature/PDF hashes are
+ * kept so GET /api/guarantee/:id/verify can later confirm a copy of the PDF.
+ */
+api.post('/guarantee-sign', express.json({ limit: '5mb' }), requireApplicantOk, async (req, res) => {
   try {
-    const { taskId, customTaskId, fullName, signedAt, termsText, signaturePng } = req.body || {};
-    const resolvedTaskId = await resolveTaskId({ taskId, customTaskId });
-    if (!resolvedTaskId) return res.status(400).json({ ok:false, error:'task_not_found' });
+    const { fullName, signedAt: clientSignedAt, termsVersion, termsText: clientTermsText, signaturePng } = req.body || {};
+    const { taskId, customTaskId, submissionId } = req.applicant;
+
+    // Only a server-held, still-active terms version can be signed, once the program has one
+    const fail = (code, status, extra = {}) => sendError(req, res, code, { status, body: { ok:false, error:code, ...extra } }, extra);
+    const prog = req.program;
+    const { records } = prog;
+    const clientText = !termsVersion && !prog.terms.current();
+    if (!termsVersion && !clientText) return fail('terms_version_required', 400);
+    if (clientText && !String(clientTermsText || '').trim()) return fail('terms_text_required', 400);
+    const signer = String(fullName || '').trim();
+    if (!signer) return fail('full_name_required', 400);
+    const terms = clientText ? { id: 'client', title: prog.terms.clientTextTitle } : prog.terms.get(termsVersion);
+    if (!terms) return fail('unknown_terms_version', 400);
+    if (terms.status === 'retired') return fail('terms_version_retired', 409, { current: prog.terms.current()?.id || null });
+    // A signature that is not a PNG is rejected here, never rendered into an unsigned PDF
+    const sigBuf = decodeSignaturePng(signaturePng);
+    if (!sigBuf) return fail('bad_signature', 400);
+
+    const record = await records.getApplication({ taskId, customTaskId });
+    if (!record) return fail('task_not_found', 400);
+    const resolvedTaskId = record.id;
+    const ref = { taskId: resolvedTaskId };
+
+    // Every placeholder in the signed copy needs a value (e.g. no cohort picked yet -> 409)
+    const signedAt = new Date().toISOString();
+    let termsText = clientTermsText;
+    if (!clientText) {
+      const values = termsValues(record, signer, signedAt);
+      const missing = missingValues(terms, values);
+      if (missing.length) return fail('terms_values_missing', 409, { missing });
+      termsText = renderTerms(terms, values);
+    }
 
-    // Decode signature
-    const b64 = (signaturePng || '').split(',')[1];
-    if (!b64) return res.status(400).json({ ok:false, error:'bad_signature' });
-    const sigBuf = Buffer.from(b64, 'base64');
+    const sig = {
+      id: crypto.randomUUID(),
+      createdAt: signedAt,
+      signedAt,
+      clientSignedAt: clientSignedAt || null,
+      fullName: signer,
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null,
+      taskId: resolvedTaskId,
+      customTaskId: customTaskId || null,
+      submissionId: submissionId || null,
+      termsVersion: terms.id,
+      termsSha256: sha256(termsText),
+      signatureSha256: sha256(sigBuf)
+    };
 
     // Make PDF
     const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dtca-'));
-    const fileName = `DCA-Job-Guarantee-${(fullName||'Applicant').replace(/[^\w\- ]+/g,'')}-${Date.now()}.pdf`;
+    const fileName = `${prog.guaranteeFilePrefix}-${signer.replace(/[^\w\- ]+/g,'') || 'Applicant'}-${Date.now()}.pdf`;
     const pdfPath = path.join(tmpDir, fileName);
 
-    await new Promise((resolve, reject) => {
-      const doc = new PDFDocument({ margin: 50 });
-      const stream = fs.createWriteStream(pdfPath);
-      doc.pipe(stream);
-
-      doc.fontSize(18).text('Dion Training — Career Accelerator Job Guarantee', { align: 'center' });
-      doc.moveDown(0.5);
-      doc.fontSize(10).fillColor('#555')
-        .text(`Signed by: ${fullName || 'N/A'}`)
-        .text(`Signed at: ${signedAt || new Date().toISOString()}`);
-      doc.moveDown();
-
-      doc.fillColor('#000').fontSize(12).text(termsText || '', { width: 500 });
-
-      doc.addPage();
-      doc.fontSize(14).text('Signature', { underline: true });
-      doc.moveDown(0.5);
-      // place signature image
-      const imgPath = path.join(tmpDir, 'sig.png');
-      fs.writeFileSync(imgPath, sigBuf);
-      try { doc.image(imgPath, { fit:[400,120] }); } catch(_) {}
-      doc.moveDown(0.5);
-      doc.fontSize(12).text(`Name: ${fullName || ''}`);
-      doc.text(`Date: ${signedAt ? new Date(signedAt).toLocaleString() : new Date().toLocaleString()}`);
-
-      doc.end();
-      stream.on('finish', resolve);
-      stream.on('error', reject);
-    });
-
-    // Upload to ClickUp as attachment (Web FormData requires a Blob/File)
-    const form = new FormData();
-    const pdfBuf = fs.readFileSync(pdfPath);
-    const pdfBlob = new Blob([pdfBuf], { type: 'application/pdf' });
-    form.append('attachment', pdfBlob, fileName);
-
-    const uploadURL = `https://api.clickup.com/api/v2/task/${resolvedTaskId}/attachment`;
-    const up = await fetch(uploadURL, {
-      method: 'POST',
-      headers: { Authorization: process.env.CLICKUP_TOKEN },
-      body: form
+    await renderGuaranteePdf({
+      outPath: pdfPath,
+      title: terms.title,
+      termsText,
+      signatureImage: sigBuf,
+      sig
     });
-
-    const upBody = await up.json().catch(() => ({}));
-    if (!up.ok) {
-      console.warn('guarantee pdf upload failed', up.status, upBody);
-    } else {
-      const attId = upBody?.id || upBody?.attachment?.id || (Array.isArray(upBody) && upBody[0]?.id) || null;
-      const attUrl = upBody?.url || upBody?.attachment?.url || (Array.isArray(upBody) && upBody[0]?.url) || null;
-      console.log('guarantee pdf uploaded', { attId, attUrl });
+    sig.pdfSha256 = await sha256File(pdfPath);
+    sig.pdfFileName = fileName;
+    signatures.save(sig);
+
+    // Attach to the application record (a failed upload is logged, not fatal)
+    let upBody;
+    try {
+      const att = await records.attachFile(ref, { path: pdfPath, filename: fileName, mimetype: 'application/pdf' });
+      upBody = att.raw;
+      signatures.update(sig.id, { attachment: { id: att.id, url: att.url } });
+      log.info('records.attach_guarantee.ok', { taskId: resolvedTaskId, signatureId: sig.id, attId: att.id });
+    } catch (e) {
+      if (!(e instanceof BackendError)) throw e;
+      upBody = e.body || {};
+      signatures.update(sig.id, { attachmentError: errorInfo(e) });
+      log.error('records.attach_guarantee.failed', { taskId: resolvedTaskId, signatureId: sig.id, err: e });
     }
 
+    // The applicant's copy goes out by email after the temp file is gone
+    const pdfCopy = mailer.enabled ? fs.readFileSync(pdfPath) : null;
+
     // cleanup temp files
-    try { fs.unlinkSync(path.join(tmpDir, 'sig.png')); } catch (_) {}
     try { fs.unlinkSync(pdfPath); } catch (_) {}
     try { fs.rmdirSync(tmpDir); } catch (_) {}
 
-    // Optionally set a boolean custom field “Guarantee Signed”
-    if (process.env.CF_GUARANTEE_SIGNED) {
-      const cfURL = `https://api.clickup.com/api/v2/task/${resolvedTaskId}/field/${process.env.CF_GUARANTEE_SIGNED}`;
-      await fetch(cfURL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: process.env.CLICKUP_TOKEN
-        },
-        body: JSON.stringify({ value: true })
-      }).catch(()=>{});
+    // Optionally set a boolean field “Guarantee Signed” (skipped by ClickUp when unmapped)
+    await records.setField(ref, 'guaranteeSigned', true)
+      .catch(e => log.warn('records.set_guarantee_signed.failed', { taskId: resolvedTaskId, err: e }));
+
+    // Record which terms version was signed: ClickUp field if mapped, otherwise a note
+    const termsNote = prog.CF.GUARANTEE_TERMS
+      ? records.setField(ref, 'guaranteeTerms', terms.id)
+      : records.addNote(ref,
+        `Job guarantee signed: terms version ${terms.id}, signature ${sig.id}, PDF SHA-256 ${sig.pdfSha256}`);
+    await termsNote.catch(e => log.warn('records.set_guarantee_terms.failed', { taskId: resolvedTaskId, err: e }));
+
+    metrics.guaranteesSigned.inc({ terms_version: terms.id });
+    if (pdfCopy) afterResponse('guarantee', () => notifyGuarantee(prog, req.applicant, sig, pdfCopy, req.id));
+    res.status(okStatus(req, 201)).json({
+      ok:true,
+      attachment: upBody,
+      signatureId: sig.id,
+      signedAt: sig.signedAt,
+      termsVersion: terms.id,
+      pdfSha256: sig.pdfSha256
+    });
+  } catch (e) {
+    log.error('route.failed', { route: '/api/guarantee-sign', err: e });
+    sendServerError(req, res, e, { status: 500, body: { ok:false, error:'server_error' } });
+  }
+});
+
+/**
+ * Check a guarantee PDF against the signature record.
+ * GET  /api/guarantee/:id/verify?sha256=<hex>  (hash computed by the caller)
+ * POST /api/guarantee/:id/verify               (raw PDF bytes, Content-Type: application/pdf)
+ */
+function verifySignature(id, givenSha) {
+  const rec = signatures.get(id);
+  if (!rec) return null;
+  const given = givenSha ? String(givenSha).trim().toLowerCase() : null;
+  return {
+    ok: true,
+    ...publicSignature(rec),
+    checked: given,
+    match: given ? given === rec.pdfSha256 : null
+  };
+}
+
+const signatureNotFound = (req, res) =>
+  sendError(req, res, 'signature_not_found', { status: 404, body: { ok:false, error:'signature_not_found' } });
+
+api.get('/guarantee/:id/verify', (req, res) => {
+  const out = verifySignature(req.params.id, req.query.sha256);
+  if (!out) return signatureNotFound(req, res);
+  res.json(out);
+});
+
+api.post('/guarantee/:id/verify', express.raw({ type: 'application/pdf', limit: '25mb' }), (req, res) => {
+  if (!Buffer.isBuffer(req.body) || !req.body.length) {
+    return sendError(req, res, 'pdf_body_required', { status: 400, body: { ok:false, error:'pdf_body_required' } });
+  }
+  const out = verifySignature(req.params.id, sha256(req.body));
+  if (!out) return signatureNotFound(req, res);
+  res.json(out);
+});
+
+// ---------------- Application status ----------------------------------------
+
+/**
+ * Where an application stands, for the applicant.
+ * Token via ?token= (the magic link from POST /api/application/status-link), Authorization: Bearer
+ * or X-Applicant-Token. The task status is shown as a stage from src/stages.json, never raw;
+ * nextSteps lists what is still outstanding (choose_cohort, pick_payment, sign_guarantee).
+ */
+api.get('/application/status', async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    let claims;
+    try {
+      claims = verifyRouteToken(req, tokenFromRequest(req));
+    } catch (e) {
+      if (!(e instanceof TokenError)) throw e;
+      return sendError(req, res, e.code, { status: e.status, body: { status: 'error', message: e.code } });
     }
 
-    res.json({ ok:true, attachment: upBody });
+    // A token minted before the task existed is "pending" while its submission is still in the outbox
+    const subject = resolveTokenSubject(claims);
+    const pending = !subject && !!claims.submissionId && !!outbox.get(claims.submissionId);
+    const record = subject
+      ? await req.program.records.getApplication({ taskId: subject.taskId, customTaskId: subject.customTaskId })
+      : null;
+    if (!record && !pending) {
+      return sendError(req, res, 'task_not_found', { status: 404, body: { status: 'error', message: 'task_not_found' } });
+    }
+
+    const view = applicationStage(STAGES, record, { pending });
+    if (record && !view.mapped && record.status) {
+      log.warn('application_status.unmapped', { taskId: record.id, taskStatus: record.status, stage: view.stage.id });
+    }
+    return res.json({
+      status: 'ok',
+      taskId: record?.id || null,
+      customTaskId: record?.customId || null,
+      submissionId: claims.submissionId,
+      pending,
+      stage: view.stage,
+      nextSteps: view.nextSteps,
+      cohort: view.cohort,
+      paymentMethod: view.paymentMethod,
+      guaranteeSigned: view.guaranteeSigned
+    });
+  } catch (e) {
+    log.error('route.failed', { route: '/api/application/status', err: e });
+    return sendServerError(req, res, e, { status: 500, body: { status: 'error', message: 'server_error' } });
+  }
+});
+
+// Magic links: an applicant who lost their link asks for a new one by email
+const STATUS_LINK_URL = process.env.STATUS_LINK_URL || process.env.APPLICANT_LINK_URL;
+const STATUS_LINK_TTL_HOURS = Number(process.env.STATUS_LINK_TTL_HOURS || 24);
+const STATUS_LINK_COOLDOWN_MS = Number(process.env.STATUS_LINK_COOLDOWN_SECONDS || 60) * 1000;
+const STATUS_LINKS_SENT = new Map(); // program:normalized email -> last send (ms)
+
+/** Look the applicant up by email in one program and mail them a status link; silent when nothing matches */
+async function sendStatusLink(email, requestId, prog) {
+  const key = `${prog.id}:${normalizeEmail(email)}`;
+  const last = STATUS_LINKS_SENT.get(key);
+  if (last && Date.now() - last < STATUS_LINK_COOLDOWN_MS) {
+    log.info('status_link.throttled', { requestId });
+    return;
+  }
+
+  const prior = findPriorApplication({ email }, prog) ||
+    (DUPLICATE_SEARCH === 'clickup' ? await findTaskByEmail(email, prog) : null);
+  if (!prior) {
+    log.info('status_link.no_match', { requestId });
+    return;
+  }
+  STATUS_LINKS_SENT.set(key, Date.now());
+
+  const { token } = mintToken(
+    { taskId: prior.taskId, submissionId: prior.submissionId, email, program: programClaim(prog) },
+    { ttlHours: STATUS_LINK_TTL_HOURS }
+  );
+  const contact = await applicantContact(prior, prog);
+  mailer.send('application_status_link', {
+    to: email,
+    values: { program: prog.name, fullName: contact.fullName || 'there', link: applicantLink(STATUS_LINK_URL, token), ttlHours: STATUS_LINK_TTL_HOURS },
+    requestId
+  });
+  log.info('status_link.sent', { program: prog.id, taskId: prior.taskId, submissionId: prior.submissionId, requestId });
+}
+
+/**
+ * Email a status magic link. Body: { email }
+ * Answers the same whether or not the email has an application, so it cannot be used to probe for applicants.
+ */
+api.post('/application/status-link', (req, res) => {
+  try {
+    const email = req.body?.email;
+    if (!normalizeEmail(email)) {
+      return sendError(req, res, 'email_required', { status: 400, body: { status: 'error', message: 'email is required' } });
+    }
+    if (!mailer.enabled || !STATUS_LINK_URL || !loadKeys().length) {
+      return sendError(req, res, 'status_link_not_configured', { status: 503, body: { status: 'error', message: 'status_link_not_configured' } });
+    }
+    res.status(okStatus(req, 202)).json({ status: 'ok', message: 'If we have an application for that email, a status link is on its way.' });
+    afterResponse('status_link', () => sendStatusLink(email, req.id, req.program));
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ ok:false, error:'server_error' });
+    log.error('route.failed', { route: '/api/application/status-link', err: e });
+    return sendServerError(req, res, e, { status: 500, body: { status: 'error', message: 'server_error' } });
   }
 });
+
+// Error code catalog; problem "type" URIs point here
+api.get('/problems', (req, res, next) => (req.apiVersion >= 2 ? res.json(problemCatalog()) : next()));
+api.get('/problems/:code', (req, res, next) => {
+  if (req.apiVersion < 2) return next();
+  const entry = problemCatalog().find(p => p.code === req.params.code);
+  return entry ? res.json(entry) : sendProblem(req, res, 'not_found');
+});
+
+for (const prog of PROGRAMS.list()) app.use(`/api/v2/${prog.id}`, apiVersion(2), useProgram(prog), api);
+app.use('/api/v2', apiVersion(2), api);
+admin.use((_req, res) => adminError(res, 404, 'not_found'));
+app.use('/api/v2', (req, res) => sendProblem(req, res, 'not_found', { detail: `${req.method} ${req.originalUrl.split('?')[0]}` }));
+for (const prog of PROGRAMS.list()) app.use(`/api/${prog.id}`, apiVersion(1), useProgram(prog), api);
+app.use('/api', apiVersion(1), api);
+
 // Friendly default for any unhandled GETs (prevents "Cannot GET /")
 // Friendly default for any unhandled GETs (prevents "Cannot GET /")
 // NOTE: In Express 5 (path-to-regexp v6), a literal '*' path is invalid.
@@ -692,7 +2145,7 @@ app.post('/api/guarantee-sign', express.json({ limit: '5mb' }), async (req, res)
 app.use((req, res, next) => {
   if (req.method !== 'GET') return next();
   if (req.path.startsWith('/api/')) return next();
-  if (req.path === '/health' || req.path.startsWith('/debug/')) return next();
+  if (req.path === '/health' || req.path.startsWith('/debug/') || req.path.startsWith('/admin/')) return next();
   return res.status(200).type('text/plain').send('DTCA backend up ✅');
 });
 
@@ -701,65 +2154,95 @@ app.use((req, res, next) => {
 app.use((err, req, res, next) => {
   if (!err) return next();
   if (err.message === 'INVALID_FILETYPE') {
-    return res.status(200).json({
-      status: 'validation_error',
-      field: 'videoFile',
-      message: 'File must be a video (e.g., .mp4, .mov).'
-    });
+    const e = { field: 'videoFile', message: 'File must be a video (e.g., .mp4, .mov).' };
+    return sendError(req, res, 'unsupported_video_type', { status: 200, body: validationError(e) }, { detail: e.message, errors: [e] });
   }
   if (err.code === 'LIMIT_FILE_SIZE') {
-    return res.status(200).json({
-      status: 'validation_error',
-      field: 'videoFile',
-      message: 'Video too large. Maximum size is 300 MB.'
-    });
+    const e = { field: 'videoFile', message: 'Video too large. Maximum size is 300 MB.' };
+    return sendError(req, res, 'video_too_large', { status: 200, body: validationError(e) }, { detail: e.message, errors: [e] });
   }
-  console.error('Unhandled error:', err);
-  return res.status(200).json({ status: 'server_error', detail: String(err) });
+  // Malformed JSON bodies and the like carry their own 4xx status
+  if (req.apiVersion >= 2 && err.status >= 400 && err.status < 500) {
+    return sendProblem(req, res, 'bad_request', { status: err.status, detail: err.expose ? err.message : undefined });
+  }
+  log.error('route.unhandled', { method: req.method, path: req.path, err });
+  return sendServerError(req, res, err, { status: 200, body: { status: 'server_error', detail: String(err) } });
 });
 
 // ---------------------------------------------------------------------------
 // Boot
 (async () => {
-  await warmDropdowns();
+  if (!loadKeys().length) {
+    log.warn('tokens.not_configured', {
+      message: 'APPLICANT_TOKEN_SECRETS not set: /api/apply returns no token and the cohort/payment/guarantee routes will refuse requests'
+    });
+  }
+  const video = await videoChecks.health();
+  if (video.error) {
+    log[video.optional ? 'warn' : 'error']('video.ffprobe_unavailable', {
+      error: video.error,
+      message: video.optional
+        ? 'VIDEO_CHECK_OPTIONAL=true: videos are accepted unchecked until ffprobe is available'
+        : 'intro videos are refused until ffprobe is available (set VIDEO_CHECK_OPTIONAL=true to accept them unchecked)'
+    });
+  }
+  if (SIMULATOR) {
+    await SIMULATOR.ready;
+    log.warn('clickup_sim.enabled', { url: SIMULATOR.url, message: 'CLICKUP_SIMULATOR=true: no request reaches the real ClickUp API' });
+  }
+  // Field mapping report per program: a renamed/deleted ClickUp field shows up here at deploy time
+  for (const prog of PROGRAMS.list()) {
+    if (!prog.listId) log.warn('program.no_list', { program: prog.id, message: 'no ClickUp list id configured' });
+    if (!prog.terms.current()) {
+      log.warn('terms.not_configured', { program: prog.id, message: 'no current guarantee terms version: signing the client-supplied terms text' });
+    }
+    await prog.options.refresh();
+    const report = prog.fieldReport;
+    if (report) {
+      log[report.ok ? 'info' : 'error']('fields.report', {
+        program: prog.id,
+        listId: prog.listId,
+        ok: report.ok,
+        problems: report.problems,
+        report: formatReport(report)
+      });
+    } else {
+      log.error('fields.report_skipped', { program: prog.id, message: 'list fields could not be loaded' });
+    }
+  }
+  if (String(process.env.FIELD_MAP_STRICT).toLowerCase() === 'true' && !PROGRAMS.list().every(prog => prog.fieldReport?.ok)) {
+    log.error('fields.strict_abort', { message: 'FIELD_MAP_STRICT=true; refusing to start with an unverified field mapping' });
+    process.exit(1);
+  }
+
   app.listen(PORT, '0.0.0.0', () => {
-    console.log(`Server listening on ${PORT}`);
+    log.info('server.listening', { port: Number(PORT) });
   });
+  outbox.start();
+  workflow.start();
+  mailer.start();
+  if (!mailer.enabled) log.warn('mail.not_configured', { message: 'SMTP_HOST not set: applicant and staff emails are not sent' });
+  if (!process.env.CORS_ORIGINS) log.warn('cors.open', { message: 'CORS_ORIGINS not set: any website can call the API from a browser' });
+  if (!captcha.enabled) log.info('captcha.disabled', { message: 'CAPTCHA_PROVIDER not set: /api/apply relies on rate limits and bot signals only' });
+  setInterval(() => {
+    uploads.sweep();
+    idempotency.sweep();
+    applyLimits.ip.sweep();
+    applyLimits.uploads.sweep();
+    applyLimits.email.sweep();
+    deliveries.sweep();
+  }, 60 * 60 * 1000).unref();
 })();
 
 // ---------------------------------------------------------------------------
 // Normalize incoming form fields from Shopify
-function normalizePayload(req) {
+function normalizePayload(req, schema) {
   const b = req.body || {};
-  return {
-    fullName: b.fullName && String(b.fullName).trim(),
-
-    email: b.email && String(b.email).trim(),
-    phone: b.phone && String(b.phone).trim(),
-
-    location: b.location && String(b.location).trim(),
-    otherLocation: b.otherLocation && String(b.otherLocation).trim(),
-
-    workEligibility: b.workEligibility && String(b.workEligibility).trim(),
-
-    reliableComputer: b.reliableComputer && String(b.reliableComputer).trim(),
-    backgroundCheck: b.backgroundCheck && String(b.backgroundCheck).trim(),
-
-    hasExperience: b.hasExperience && String(b.hasExperience).trim(),
-    experienceDescription: b.experienceDescription && String(b.experienceDescription).trim(),
-
-    certCompleted: b.certCompleted && String(b.certCompleted).trim(),
-    certificationsListed: b.certificationsListed && String(b.certificationsListed).trim(),
-
-    education: b.education && String(b.education).trim(),
-    otherEducation: b.otherEducation && String(b.otherEducation).trim(),
-
-    classSchedule: b.classSchedule && String(b.classSchedule).trim(),
-    commitmentLevel: b.commitmentLevel && String(b.commitmentLevel).trim(),
-
-    heardAbout: b.heardAbout && String(b.heardAbout).trim(),
-
-    engagementText: b.engagementText && String(b.engagementText).trim(),
-    additionalComments: b.additionalComments && String(b.additionalComments).trim()
-  };
+  const p = {};
+  for (const [key, rule] of Object.entries(schema)) {
+    p[key] = b[key] && String(b[key]).trim();
+    if (p[key] && rule.format === 'e164') p[key] = p[key].replace(/[\s().-]/g, '');
+  }
+  p.videoUploadId = b.videoUploadId && String(b.videoUploadId).trim();
+  return p;
 }
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * Applicant-facing application stages
+ * - Config in src/stages.json (override with STAGES_FILE)
+ * - Each stage lists the internal task statuses it covers (case-insensitive); a status no
+ *   stage lists falls back to "default", so a new ClickUp status never leaks to applicants
+ * - Stages with nextSteps: true report the enrollment steps still outstanding, in order:
+ *     choose_cohort (cohort unset) -> pick_payment (payment method unset) -> sign_guarantee
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STEPS = ['choose_cohort', 'pick_payment', 'sign_guarantee'];
+
+const norm = s => String(s ?? '').trim().toLowerCase();
+
+function loadStages(file = process.env.STAGES_FILE || path.join(__dirname, 'stages.json')) {
+  const cfg = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const stages = (cfg.stages || []).map((s, i) => {
+    if (!s.id || !s.label) throw new Error(`stages.json: stages[${i}] needs an "id" and a "label"`);
+    return { ...s, statuses: (s.statuses || []).map(norm) };
+  });
+  const byStatus = new Map();
+  for (const s of stages) {
+    for (const st of s.statuses) {
+      if (byStatus.has(st)) throw new Error(`stages.json: status "${st}" is listed by both ${byStatus.get(st).id} and ${s.id}`);
+      byStatus.set(st, s);
+    }
+  }
+  if (!stages.length) throw new Error('stages.json: no stages defined');
+  const fallback = stages.find(s => s.id === cfg.default);
+  if (!fallback) throw new Error(`stages.json: default stage "${cfg.default}" is not defined`);
+  const steps = { ...cfg.steps };
+  for (const k of STEPS) if (!steps[k]) throw new Error(`stages.json: steps.${k} label is missing`);
+  return { stages, byStatus, fallback, steps };
+}
+
+/** Checkbox values come back as true or "true" depending on the backend */
+const isChecked = v => v === true || norm(v) === 'true';
+
+/**
+ * Applicant view of a record from records.getApplication.
+ * Returns { stage: { id, label, message }, mapped, nextSteps: [{ id, label }], cohort, paymentMethod, guaranteeSigned }
+ * (mapped is false when the status fell back to the default stage).
+ * A submission still being delivered (pending, no record yet) is in the first stage.
+ */
+function applicationStage(cfg, record, { pending = false } = {}) {
+  const hit = pending ? cfg.stages[0] : cfg.byStatus.get(norm(record?.status));
+  const stage = hit || cfg.fallback;
+  const f = record?.fields || {};
+  const guaranteeSigned = isChecked(f.guaranteeSigned);
+
+  const nextSteps = [];
+  if (stage.nextSteps) {
+    if (!f.cohort) nextSteps.push('choose_cohort');
+    if (!f.paymentMethod) nextSteps.push('pick_payment');
+    if (!guaranteeSigned) nextSteps.push('sign_guarantee');
+  }
+
+  return {
+    stage: { id: stage.id, label: stage.label, message: stage.message || null },
+    mapped: !!hit,
+    nextSteps: nextSteps.map(id => ({ id, label: cfg.steps[id] })),
+    cohort: f.cohort || null,
+    paymentMethod: f.paymentMethod || null,
+    guaranteeSigned
+  };
+}
+
+module.exports = { loadStages, applicationStage };
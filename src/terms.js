@@ -0,0 +1,67 @@
+/**
+ * Guarantee terms templates
+ * - Versions live in src/terms/ (override with TERMS_DIR): index.json + one text file each
+ * - index.json "current" is what GET /api/guarantee/terms serves; null until real terms are supplied.
+ *   Without one, /api/guarantee-sign signs the page's own text as before, under "clientTextTitle"
+ * - status "active" versions can still be signed; "retired" ones are refused; "draft" ones
+ *   (placeholder text) are never served or signed and cannot be made current
+ * - Placeholders: {{fullName}} {{cohort}} {{paymentMethod}} {{date}}
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PLACEHOLDER_LABELS = {
+  fullName: 'Full name',
+  cohort: 'Cohort',
+  paymentMethod: 'Payment method',
+  date: 'Date'
+};
+
+function loadTerms(dir = process.env.TERMS_DIR || path.join(__dirname, 'terms')) {
+  const index = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8'));
+  const versions = {};
+  for (const [id, v] of Object.entries(index.versions || {})) {
+    versions[id] = {
+      id,
+      title: v.title,
+      effectiveDate: v.effectiveDate || null,
+      status: v.status || 'active',
+      body: fs.readFileSync(path.join(dir, v.file), 'utf8').trim()
+    };
+  }
+  if (index.current != null) {
+    const cur = versions[index.current];
+    if (!cur) throw new Error(`terms/index.json: current version "${index.current}" is not defined`);
+    if (cur.status === 'retired') throw new Error(`terms/index.json: current version "${index.current}" is retired`);
+    if (cur.status === 'draft') throw new Error(`terms/index.json: current version "${index.current}" is a draft; supply the real terms first`);
+    if (!cur.body) throw new Error(`terms/index.json: current version "${index.current}" has no text`);
+  }
+  const servable = id => (versions[id] && versions[id].status !== 'draft' ? versions[id] : null);
+
+  return {
+    /** Version to display and sign (null while none is configured) */
+    current: () => (index.current != null ? versions[index.current] : null),
+    get: servable,
+    clientTextTitle: index.clientTextTitle || 'Job Guarantee'
+  };
+}
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/** Placeholders in the version that have no value (a signed copy must not have blanks) */
+function missingValues(version, values = {}) {
+  const keys = [...version.body.matchAll(PLACEHOLDER)].map(m => m[1]);
+  return [...new Set(keys)].filter(key => !values[key]);
+}
+
+/** Fill placeholders; missing values render as "[Label]" so the blank is obvious (display only) */
+function renderTerms(version, values = {}) {
+  return version.body.replace(PLACEHOLDER, (m, key) => {
+    const v = values[key];
+    if (v) return String(v);
+    return PLACEHOLDER_LABELS[key] ? `[${PLACEHOLDER_LABELS[key]}]` : m;
+  });
+}
+
+module.exports = { loadTerms, renderTerms, missingValues };
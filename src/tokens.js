@@ -0,0 +1,139 @@
+/**
+ * Applicant access tokens
+ * - HMAC-SHA256 signed, bound to a task (or a submission still in the outbox) and optionally an email
+ * - Tokens for a program other than the default one name it, so they only work on that program's routes
+ * - Format: <kid>.<base64url payload>.<base64url signature>
+ *
+ * Secrets / rotation:
+ *   APPLICANT_TOKEN_SECRETS="k2:new-secret,k1:old-secret"
+ *   The first key signs, every listed key verifies. To rotate: prepend a new key, deploy,
+ *   then drop the old one once APPLICANT_TOKEN_TTL_HOURS has passed.
+ *   A single APPLICANT_TOKEN_SECRET is accepted as key "k1".
+ */
+
+const crypto = require('crypto');
+const { normalizeEmail } = require('./dedupe');
+
+const TTL_HOURS = Number(process.env.APPLICANT_TOKEN_TTL_HOURS || 72);
+
+/** Error carrying the HTTP status + machine code routes should answer with */
+class TokenError extends Error {
+  constructor(status, code) {
+    super(code);
+    this.name = 'TokenError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function loadKeys(env = process.env) {
+  if (env.APPLICANT_TOKEN_SECRETS) {
+    return env.APPLICANT_TOKEN_SECRETS.split(',').map(s => s.trim()).filter(Boolean).map(pair => {
+      const i = pair.indexOf(':');
+      if (i < 1) throw new Error('APPLICANT_TOKEN_SECRETS entries must look like "kid:secret"');
+      return { kid: pair.slice(0, i), secret: pair.slice(i + 1) };
+    });
+  }
+  if (env.APPLICANT_TOKEN_SECRET) return [{ kid: 'k1', secret: env.APPLICANT_TOKEN_SECRET }];
+  return [];
+}
+
+const b64u = buf => Buffer.from(buf).toString('base64url');
+const sign = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest();
+const emailTag = email => crypto.createHash('sha256').update(normalizeEmail(email) || '').digest('base64url').slice(0, 16);
+
+/**
+ * Mint a token.
+ * subject: { taskId?, customTaskId?, submissionId?, email?, program? }; ttlHours defaults to APPLICANT_TOKEN_TTL_HOURS
+ */
+function mintToken(subject, { ttlHours = TTL_HOURS, keys = loadKeys() } = {}) {
+  if (!keys.length) throw new TokenError(500, 'token_secret_not_configured');
+  if (!subject.taskId && !subject.customTaskId && !subject.submissionId) {
+    throw new TokenError(400, 'token_subject_required');
+  }
+  const { kid, secret } = keys[0];
+  const exp = Math.floor(Date.now() / 1000) + Math.round(ttlHours * 3600);
+  const claims = {
+    t: subject.taskId || undefined,
+    c: subject.customTaskId || undefined,
+    s: subject.submissionId || undefined,
+    em: subject.email ? emailTag(subject.email) : undefined,
+    p: subject.program || undefined,
+    exp
+  };
+  const payload = b64u(JSON.stringify(claims));
+  const token = `${kid}.${payload}.${b64u(sign(secret, `${kid}.${payload}`))}`;
+  return { token, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+/** Verify signature + expiry; returns { taskId, customTaskId, submissionId, emailTag, program, expiresAt } */
+function verifyToken(token, { keys = loadKeys() } = {}) {
+  if (!keys.length) throw new TokenError(500, 'token_secret_not_configured');
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) throw new TokenError(401, 'invalid_token');
+
+  const [kid, payload, sig] = parts;
+  const key = keys.find(k => k.kid === kid);
+  if (!key) throw new TokenError(401, 'invalid_token');
+  const expected = sign(key.secret, `${kid}.${payload}`);
+  const given = Buffer.from(sig, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new TokenError(401, 'invalid_token');
+  }
+
+  let claims;
+  try { claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')); } catch (_) {
+    throw new TokenError(401, 'invalid_token');
+  }
+  if (!claims.exp || claims.exp * 1000 < Date.now()) throw new TokenError(401, 'token_expired');
+
+  return {
+    taskId: claims.t || null,
+    customTaskId: claims.c || null,
+    submissionId: claims.s || null,
+    emailTag: claims.em || null,
+    program: claims.p || null,
+    expiresAt: new Date(claims.exp * 1000).toISOString()
+  };
+}
+
+/** Token from Authorization: Bearer, X-Applicant-Token, body.token or ?token= */
+function tokenFromRequest(req) {
+  const auth = req.get('authorization') || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return req.get('x-applicant-token') || req.body?.token || req.query?.token || null;
+}
+
+/**
+ * Express middleware: verifies the applicant token and that it covers the task the
+ * request names, then sets req.applicant = { taskId, customTaskId, submissionId }.
+ * resolveSubject(claims) may fill in task ids for tokens issued before the task existed.
+ * fail(res, status, code) lets each route keep its own error body shape.
+ * program(req) names the program the route serves (null for the default one); a token for another is refused.
+ */
+function requireApplicantToken({ resolveSubject, fail, program = () => null }) {
+  return async (req, res, next) => {
+    try {
+      const claims = verifyToken(tokenFromRequest(req));
+      if (claims.program !== (program(req) || null)) throw new TokenError(403, 'token_program_mismatch');
+      const subject = resolveSubject ? await resolveSubject(claims) : claims;
+      if (!subject?.taskId && !subject?.customTaskId) throw new TokenError(409, 'application_pending');
+
+      const b = req.body || {};
+      const names = [b.taskId, b.customTaskId].filter(Boolean);
+      const owns = [subject.taskId, subject.customTaskId].filter(Boolean);
+      if (names.some(id => !owns.includes(id))) throw new TokenError(403, 'token_task_mismatch');
+      if (claims.emailTag && b.email && emailTag(b.email) !== claims.emailTag) {
+        throw new TokenError(403, 'token_email_mismatch');
+      }
+
+      req.applicant = { taskId: subject.taskId, customTaskId: subject.customTaskId, submissionId: claims.submissionId };
+      return next();
+    } catch (e) {
+      if (!(e instanceof TokenError)) return next(e);
+      return fail(res, e.status, e.code);
+    }
+  };
+}
+
+module.exports = { mintToken, verifyToken, requireApplicantToken, tokenFromRequest, loadKeys, TokenError };
@@ -0,0 +1,159 @@
+/**
+ * Resumable chunked uploads (tus-style)
+ * - init: declare filename/size/type, get an upload id
+ * - append: write the next chunk at the current offset (streamed to disk)
+ * - complete: size check, then the upload can be referenced from /api/apply
+ * Incomplete uploads expire after UPLOAD_TTL_HOURS.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createJournal } = require('./journal');
+
+const TTL_MS = Number(process.env.UPLOAD_TTL_HOURS || 24) * 60 * 60 * 1000;
+
+/**
+ * Error with an HTTP status the route can pass through.
+ * extra: { code (stable error code), field (form field for validation-style errors), offset }
+ */
+class UploadError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    Object.assign(this, extra);
+  }
+}
+
+function createUploadStore({ maxBytes }) {
+  const journal = createJournal('uploads');
+  const filesDir = path.join(journal.dir, 'files');
+  fs.mkdirSync(filesDir, { recursive: true });
+  const writing = new Set();
+
+  const partPath = id => path.join(filesDir, `${id}.part`);
+
+  function init({ filename, size, mimetype }) {
+    const n = Number(size);
+    if (!filename) throw new UploadError(400, 'filename is required', { field: 'videoFile', code: 'validation_failed' });
+    if (!Number.isInteger(n) || n <= 0) throw new UploadError(400, 'size must be a positive integer (bytes)', { field: 'videoFile', code: 'validation_failed' });
+    if (n > maxBytes) throw new UploadError(413, `Video too large. Maximum size is ${Math.round(maxBytes / 1024 / 1024)} MB.`, { field: 'videoFile', code: 'video_too_large' });
+    if (!mimetype || !String(mimetype).startsWith('video/')) {
+      throw new UploadError(415, 'File must be a video (e.g., .mp4, .mov).', { field: 'videoFile', code: 'unsupported_video_type' });
+    }
+
+    const id = crypto.randomUUID();
+    fs.writeFileSync(partPath(id), '');
+    const now = new Date();
+    return journal.put({
+      id,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + TTL_MS).toISOString(),
+      status: 'uploading',
+      filename: String(filename),
+      mimetype: String(mimetype),
+      size: n,
+      offset: 0
+    });
+  }
+
+  function get(id) {
+    try { return journal.get(id); } catch (_) { return null; }
+  }
+
+  function mustGet(id) {
+    const u = get(id);
+    if (!u) throw new UploadError(404, 'upload not found', { code: 'upload_not_found' });
+    return u;
+  }
+
+  /** Stream one chunk from `stream` onto the file at `offset`; resolves to the new offset */
+  async function append(id, offset, stream) {
+    const u = mustGet(id);
+    if (u.status !== 'uploading') throw new UploadError(409, `upload is ${u.status}`, { offset: u.offset, code: 'upload_state_conflict' });
+    if (Number(offset) !== u.offset) throw new UploadError(409, 'offset mismatch', { offset: u.offset, code: 'upload_offset_mismatch' });
+    if (writing.has(id)) throw new UploadError(409, 'another chunk is being written', { offset: u.offset, code: 'upload_busy' });
+
+    writing.add(id);
+    const file = partPath(id);
+    let written = 0;
+    try {
+      await new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(file, { flags: 'a' });
+        let overflow = false;
+        // Every failure closes the file, or each aborted chunk would leak a descriptor
+        const fail = e => {
+          stream.unpipe(out);
+          out.destroy();
+          reject(e);
+        };
+        stream.on('data', chunk => {
+          if (overflow) return;
+          written += chunk.length;
+          if (u.offset + written > u.size) {
+            // Stop writing but drain the request so we can still answer it
+            overflow = true;
+            fail(new UploadError(413, 'chunk exceeds declared upload size', { offset: u.offset, code: 'upload_chunk_too_large' }));
+            stream.resume();
+          }
+        });
+        stream.on('error', fail);
+        stream.on('aborted', () => fail(new UploadError(400, 'client aborted chunk', { code: 'upload_aborted' })));
+        out.on('error', fail);
+        out.on('finish', resolve);
+        stream.pipe(out);
+      });
+    } catch (e) {
+      // Drop any partial chunk so the stored offset stays authoritative
+      try { fs.truncateSync(file, u.offset); } catch (_) {}
+      throw e;
+    } finally {
+      writing.delete(id);
+    }
+
+    const offsetNow = fs.statSync(file).size;
+    journal.update(id, { offset: offsetNow, expiresAt: new Date(Date.now() + TTL_MS).toISOString() });
+    return offsetNow;
+  }
+
+  function complete(id) {
+    const u = mustGet(id);
+    if (u.status === 'complete') return u;
+    if (u.status !== 'uploading') throw new UploadError(409, `upload is ${u.status}`, { code: 'upload_state_conflict' });
+    const onDisk = fs.statSync(partPath(id)).size;
+    if (onDisk !== u.size) throw new UploadError(409, `upload incomplete (${onDisk}/${u.size} bytes)`, { offset: onDisk, code: 'upload_incomplete' });
+    return journal.update(id, { status: 'complete', offset: onDisk, completedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Hand a completed upload over (once) as a multer-like file object.
+   * The upload is marked consumed before the caller moves the file, and check + mark run without
+   * yielding, so of two requests naming the same upload only one gets it; the other gets a 409.
+   */
+  function take(id) {
+    const f = file(id);
+    journal.update(id, { status: 'consumed', consumedAt: new Date().toISOString() });
+    return f;
+  }
+
+  /** A completed upload as a file ({ path, originalname, mimetype, size }) without consuming it */
+  function file(id) {
+    const u = mustGet(id);
+    if (u.status !== 'complete') throw new UploadError(409, `upload is ${u.status}`, { code: 'upload_state_conflict' });
+    return { path: partPath(id), originalname: u.filename, mimetype: u.mimetype, size: u.size };
+  }
+
+  /** Delete expired, unconsumed uploads and old records */
+  function sweep() {
+    const now = Date.now();
+    for (const u of journal.list(x => Date.parse(x.expiresAt) < now)) {
+      try { fs.unlinkSync(partPath(u.id)); } catch (_) {}
+      journal.remove(u.id);
+    }
+  }
+
+  return { init, get, append, complete, take, file, sweep };
+}
+
+module.exports = { createUploadStore, UploadError };
@@ -0,0 +1,114 @@
+/**
+ * Application form schema + validator
+ * - Declarative rules for every /api/apply field
+ * - Collects all violations in one pass as [{ field, message }]
+ */
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const E164_RE = /^\+[1-9]\d{7,14}$/;
+const YES_NO = ['Yes', 'No'];
+
+/**
+ * Rule keys:
+ *   label      human name used in messages
+ *   required   must be present and non-empty
+ *   requiredIf { field, equals } - required when another field has that value
+ *   format     'email' | 'e164'
+ *   oneOf      allowed values (case-insensitive)
+ *   dropdown   CF key; value must map to one of that ClickUp field's options
+ *   maxLength  max characters
+ * Only what the live form always sends is required; the other questions are checked when answered.
+ */
+const APPLY_SCHEMA = {
+  fullName:              { label: 'Full name', required: true, maxLength: 200 },
+  email:                 { label: 'Email', required: true, format: 'email', maxLength: 254 },
+  phone:                 { label: 'Phone', format: 'e164' },
+
+  location:              { label: 'Location', required: true, dropdown: 'LOCATION', maxLength: 200 },
+  otherLocation:         { label: 'Other location', requiredIf: { field: 'location', equals: 'Other' }, maxLength: 200 },
+
+  workEligibility:       { label: 'Work eligibility', required: true, dropdown: 'WORK_ELIGIBILITY' },
+  reliableComputer:      { label: 'Reliable computer', oneOf: YES_NO },
+  backgroundCheck:       { label: 'Background check', oneOf: YES_NO },
+
+  hasExperience:         { label: 'Prior IT experience', oneOf: YES_NO },
+  experienceDescription: { label: 'Experience details', requiredIf: { field: 'hasExperience', equals: 'Yes' }, maxLength: 5000 },
+
+  certCompleted:         { label: 'Certifications status', maxLength: 200 },
+  certificationsListed:  { label: 'Certifications listed', maxLength: 2000 },
+
+  education:             { label: 'Education', required: true, dropdown: 'EDUCATION' },
+  otherEducation:        { label: 'Other education', requiredIf: { field: 'education', equals: 'Other' }, maxLength: 200 },
+
+  classSchedule:         { label: 'Class availability', oneOf: YES_NO },
+  commitmentLevel:       { label: 'Commitment', oneOf: YES_NO },
+
+  heardAbout:            { label: 'Heard about us', dropdown: 'HEARD_ABOUT' },
+
+  engagementText:        { label: 'Engagement requirement', maxLength: 2000 },
+  additionalComments:    { label: 'Additional comments', maxLength: 5000 }
+};
+
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+const isBlank = v => v === undefined || v === null || String(v).trim() === '';
+
+/**
+ * Validate a normalized payload against a schema.
+ * ctx.matchesOption(cfKey, value) -> true | false | undefined (unknown, skip check)
+ * Returns [] when valid.
+ */
+function validate(schema, payload, ctx = {}) {
+  const errors = [];
+  const p = payload || {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const label = rule.label || field;
+    const value = p[field];
+
+    if (isBlank(value)) {
+      if (rule.required) {
+        errors.push({ field, message: `${label} is required.` });
+      } else if (rule.requiredIf && sameText(p[rule.requiredIf.field] || '', rule.requiredIf.equals)) {
+        const depLabel = schema[rule.requiredIf.field]?.label || rule.requiredIf.field;
+        errors.push({ field, message: `${label} is required when ${depLabel} is "${rule.requiredIf.equals}".` });
+      }
+      continue;
+    }
+
+    const s = String(value);
+    if (rule.maxLength && s.length > rule.maxLength) {
+      errors.push({ field, message: `${label} must be at most ${rule.maxLength} characters.` });
+      continue;
+    }
+    if (rule.format === 'email' && !EMAIL_RE.test(s)) {
+      errors.push({ field, message: `${label} must be a valid email address.` });
+      continue;
+    }
+    if (rule.format === 'e164' && !E164_RE.test(s)) {
+      errors.push({ field, message: `${label} must be in international format, e.g. +15551234567.` });
+      continue;
+    }
+    if (rule.oneOf && !rule.oneOf.some(o => sameText(o, s))) {
+      errors.push({ field, message: `${label} must be one of: ${rule.oneOf.join(', ')}.` });
+      continue;
+    }
+    if (rule.dropdown && ctx.matchesOption && ctx.matchesOption(rule.dropdown, s) === false) {
+      errors.push({ field, message: `${label} "${s}" is not a recognized option.` });
+    }
+  }
+
+  return errors;
+}
+
+/** Response body in the existing validation_error shape (first error kept top-level for old clients) */
+function validationError(errors) {
+  const list = Array.isArray(errors) ? errors : [errors];
+  return {
+    status: 'validation_error',
+    field: list[0]?.field,
+    message: list[0]?.message,
+    errors: list
+  };
+}
+
+module.exports = { APPLY_SCHEMA, validate, validationError };
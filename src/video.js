@@ -0,0 +1,176 @@
+/**
+ * Intro video checks for /api/apply (local ffprobe / ffmpeg)
+ * - inspect(file): ffprobe reads the container and streams, then the limits below are applied.
+ *   Corrupted files and renamed non-videos fail here, not in front of a reviewer.
+ * - thumbnail(src, dest): one JPEG frame (POSTER_AT_SECONDS in, or the middle of shorter clips)
+ * - Config:
+ *     VIDEO_CHECKS               on (default) | off
+ *     VIDEO_CHECK_OPTIONAL       true: accept videos unchecked while ffprobe is unavailable (default false)
+ *     FFPROBE_PATH / FFMPEG_PATH binaries (default: ffprobe / ffmpeg on PATH)
+ *     VIDEO_PROBE_TIMEOUT_MS     per ffprobe/ffmpeg run (20000)
+ *     VIDEO_MIN_SECONDS          shortest accepted clip (3)
+ *     VIDEO_MAX_SECONDS          longest accepted clip (300)
+ *     VIDEO_MIN_HEIGHT           lowest resolution, shorter side in pixels (240)
+ *     VIDEO_MAX_HEIGHT           highest resolution, shorter side in pixels (2160)
+ *     VIDEO_CONTAINERS           ffprobe format names (mov,mp4,webm,matroska,avi,3gp)
+ *     VIDEO_CODECS               ffprobe video codec names (h264,hevc,vp8,vp9,av1,mpeg4)
+ * - A missing binary or a probe that times out is "unavailable": callers refuse the video unless
+ *   VIDEO_CHECK_OPTIONAL=true; health() reports a missing ffprobe so readiness fails at deploy time
+ */
+
+const { execFile } = require('child_process');
+
+const list = (v, fallback) => String(v || fallback).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+function loadVideoLimits(env = process.env) {
+  return {
+    minSeconds: Number(env.VIDEO_MIN_SECONDS ?? 3),
+    maxSeconds: Number(env.VIDEO_MAX_SECONDS ?? 300),
+    minHeight: Number(env.VIDEO_MIN_HEIGHT ?? 240),
+    maxHeight: Number(env.VIDEO_MAX_HEIGHT ?? 2160),
+    containers: list(env.VIDEO_CONTAINERS, 'mov,mp4,webm,matroska,avi,3gp'),
+    codecs: list(env.VIDEO_CODECS, 'h264,hevc,vp8,vp9,av1,mpeg4')
+  };
+}
+
+/** execFile as a promise; err.unavailable when the binary is missing or the run timed out */
+function run(bin, args, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    execFile(bin, args, { timeout: timeoutMs, maxBuffer: 4 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (!err) return resolve(stdout);
+      err.unavailable = err.code === 'ENOENT' || err.killed;
+      err.stderr = String(stderr || '').slice(-500);
+      reject(err);
+    });
+  });
+}
+
+/** "1m 05s" */
+function formatDuration(seconds) {
+  if (seconds === null) return 'unknown';
+  const s = Math.round(seconds);
+  return s < 60 ? `${s}s` : `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, '0')}s`;
+}
+
+const formatSize = bytes => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+/** Markdown block for the task description */
+function formatVideoInfo(info) {
+  const codecs = [info.videoCodec, info.audioCodec].filter(Boolean).join(' / ');
+  return [
+    '**Intro video**',
+    `- **Duration:** ${formatDuration(info.durationSeconds)}`,
+    `- **Resolution:** ${info.width}x${info.height}`,
+    `- **Format:** ${info.container}${codecs ? ` (${codecs})` : ''}`,
+    `- **Size:** ${formatSize(info.size)}`
+  ].join('\n');
+}
+
+/** { durationSeconds (null if unknown), width, height, container, videoCodec, audioCodec, size } from ffprobe JSON */
+function parseProbe(j, size) {
+  const streams = j.streams || [];
+  // Cover art in audio files shows up as a one-frame "video" stream
+  const video = streams.find(s => s.codec_type === 'video' && !s.disposition?.attached_pic);
+  if (!video) return null;
+  const audio = streams.find(s => s.codec_type === 'audio');
+  // Phone clips are often stored landscape with a rotation tag; only the sides matter here
+  const rotation = Math.abs(Number(video.tags?.rotate || video.side_data_list?.find(d => d.rotation !== undefined)?.rotation || 0));
+  const [width, height] = rotation % 180 === 90 ? [video.height, video.width] : [video.width, video.height];
+  // Browser (MediaRecorder) WebM files often carry no duration at all
+  const duration = Number(j.format?.duration || video.duration);
+  return {
+    durationSeconds: duration > 0 ? Math.round(duration * 10) / 10 : null,
+    width: Number(width) || 0,
+    height: Number(height) || 0,
+    container: String(j.format?.format_name || 'unknown'),
+    videoCodec: video.codec_name || null,
+    audioCodec: audio?.codec_name || null,
+    size: Number(size || j.format?.size || 0)
+  };
+}
+
+/** Friendly problems with an inspected video ([] when it is within limits) */
+function checkVideo(info, limits) {
+  const problems = [];
+  const containers = info.container.split(',');
+  if (!containers.some(c => limits.containers.includes(c))) {
+    problems.push({ reason: 'container', message: 'That video format is not supported. Please upload an MP4, MOV or WebM file.' });
+  }
+  if (info.videoCodec && !limits.codecs.includes(info.videoCodec.toLowerCase())) {
+    problems.push({ reason: 'codec', message: 'That video uses an encoding we cannot play. Please export it as MP4 (H.264) and upload it again.' });
+  }
+  if (info.durationSeconds === null) {
+    // Not enforceable without a duration
+  } else if (info.durationSeconds < limits.minSeconds) {
+    problems.push({ reason: 'too_short', message: `Your video is too short. Please upload at least ${formatDuration(limits.minSeconds)}.` });
+  } else if (info.durationSeconds > limits.maxSeconds) {
+    problems.push({
+      reason: 'too_long',
+      message: `Your video is ${formatDuration(info.durationSeconds)} long. Please keep it under ${formatDuration(limits.maxSeconds)}.`
+    });
+  }
+  const side = Math.min(info.width, info.height);
+  if (side < limits.minHeight) {
+    problems.push({ reason: 'resolution_low', message: `Your video resolution is too low. Please record at ${limits.minHeight}p or higher.` });
+  } else if (side > limits.maxHeight) {
+    problems.push({ reason: 'resolution_high', message: `Your video resolution is too high. Please record at ${limits.maxHeight}p or lower.` });
+  }
+  return problems;
+}
+
+/**
+ * Video inspector.
+ * inspect({ path, size }) -> { ok: true, info } | { ok: false, reason, message } | { ok: false, reason: 'unavailable' }
+ * thumbnail(src, dest, info?) -> dest (throws; err.unavailable as in run())
+ * health() -> { ok, ffprobe, optional, error? } (ffprobe -version, cached once it succeeds)
+ */
+function createVideoInspector({
+  enabled = String(process.env.VIDEO_CHECKS || 'on').toLowerCase() !== 'off',
+  optional = String(process.env.VIDEO_CHECK_OPTIONAL).toLowerCase() === 'true',
+  ffprobe = process.env.FFPROBE_PATH || 'ffprobe',
+  ffmpeg = process.env.FFMPEG_PATH || 'ffmpeg',
+  timeoutMs = Number(process.env.VIDEO_PROBE_TIMEOUT_MS || 20000),
+  posterAt = Number(process.env.POSTER_AT_SECONDS || 1),
+  limits = loadVideoLimits()
+} = {}) {
+  async function inspect(file) {
+    if (!enabled) return { ok: false, reason: 'disabled' };
+    let j;
+    try {
+      const out = await run(ffprobe, ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', file.path], timeoutMs);
+      j = JSON.parse(out);
+    } catch (e) {
+      if (e.unavailable) return { ok: false, reason: 'unavailable', error: e.code === 'ENOENT' ? 'ffprobe_not_found' : 'timeout' };
+      return { ok: false, reason: 'unreadable', message: 'We could not read that video file. It may be damaged; please upload it again.' };
+    }
+    const info = parseProbe(j, file.size);
+    if (!info) return { ok: false, reason: 'not_video', message: 'That file does not contain a video. Please upload a video file.' };
+    const problems = checkVideo(info, limits);
+    return problems.length ? { ok: false, ...problems[0], problems, info } : { ok: true, info };
+  }
+
+  async function thumbnail(src, dest, info) {
+    const at = info?.durationSeconds && info.durationSeconds < posterAt * 2 ? info.durationSeconds / 2 : posterAt;
+    await run(ffmpeg, ['-v', 'error', '-y', '-ss', String(at), '-i', src, '-frames:v', '1', '-vf', 'scale=640:-2', '-q:v', '4', dest], timeoutMs);
+    return dest;
+  }
+
+  let found = false;
+  async function health() {
+    if (!enabled) return { ok: true, disabled: true };
+    if (!found) {
+      try {
+        await run(ffprobe, ['-version'], timeoutMs);
+        found = true;
+      } catch (e) {
+        const error = e.code === 'ENOENT' ? 'ffprobe_not_found' : e.killed ? 'timeout' : 'ffprobe_failed';
+        return { ok: optional, ffprobe, optional, error };
+      }
+    }
+    return { ok: true, ffprobe, optional };
+  }
+
+  return { enabled, optional, limits, inspect, thumbnail, health };
+}
+
+module.exports = { createVideoInspector, loadVideoLimits, checkVideo, parseProbe, formatVideoInfo, formatDuration };
@@ -0,0 +1,121 @@
+/**
+ * ClickUp webhooks: admissions moving a task drives the post-approval workflow
+ * - Signature: X-Signature = hex HMAC-SHA256 of the raw body with the webhook's secret.
+ *   The secret comes back once, when the webhook is registered (POST /admin/webhooks); it is kept
+ *   under DATA_DIR/clickup-webhooks. CLICKUP_WEBHOOK_SECRET overrides it (e.g. a webhook made by hand).
+ * - ClickUp redelivers until it gets a 2xx, so every status change is handled once: history item
+ *   ids are remembered for WEBHOOK_DEDUPE_TTL_HOURS (72)
+ * - Workflow: src/workflow.json (override with WORKFLOW_FILE). First transition matching the new
+ *   status (and "from", if given) wins; statuses compare case-insensitively. Per transition:
+ *     link: true          mint an applicant token + APPLICANT_LINK_URL link, valid linkTtlHours
+ *     comment: "text"     post a task comment ({{placeholders}} as in the email templates)
+ *     email: "template"   email the applicant (src/emails)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createJournal } = require('./journal');
+
+const DEDUPE_TTL_MS = Number(process.env.WEBHOOK_DEDUPE_TTL_HOURS || 72) * 60 * 60 * 1000;
+
+const hash = s => crypto.createHash('sha256').update(String(s)).digest('hex');
+const norm = s => String(s ?? '').trim().toLowerCase();
+
+/** Constant-time check of X-Signature against the raw body */
+function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!rawBody || !signature || !secret) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const given = String(signature).trim().toLowerCase();
+  return given.length === expected.length && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+/** Webhooks this server registered: { id, secret, endpoint, program, listId, events, createdAt } */
+function createWebhookRegistry() {
+  const journal = createJournal('clickup-webhooks');
+
+  /** Signing secret for a delivery's webhook_id */
+  function secretFor(webhookId) {
+    if (process.env.CLICKUP_WEBHOOK_SECRET) return process.env.CLICKUP_WEBHOOK_SECRET;
+    try { return (webhookId && journal.get(webhookId)?.secret) || null; } catch (_) { return null; }
+  }
+
+  /** Registration without its secret (null when unknown) */
+  function get(webhookId) {
+    let rec = null;
+    try { rec = webhookId ? journal.get(webhookId) : null; } catch (_) { /* malformed id */ }
+    if (!rec) return null;
+    const { secret, ...out } = rec;
+    return out;
+  }
+
+  return {
+    secretFor,
+    get,
+    save: rec => journal.put({ ...rec, createdAt: rec.createdAt || new Date().toISOString() }),
+    remove: journal.remove,
+    list: () => journal.list().map(({ secret, ...rec }) => rec)
+  };
+}
+
+/** Delivery ids seen recently; seen() + remember() run with no await in between */
+function createDeliveryLog() {
+  const journal = createJournal('webhook-deliveries');
+
+  function seen(key) {
+    const rec = journal.get(hash(key));
+    return !!rec && Date.parse(rec.expiresAt) > Date.now();
+  }
+
+  function remember(key, extra = {}) {
+    const now = Date.now();
+    journal.put({
+      id: hash(key),
+      ...extra,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + DEDUPE_TTL_MS).toISOString()
+    });
+  }
+
+  function sweep() {
+    const now = Date.now();
+    journal.list(r => Date.parse(r.expiresAt) < now).forEach(r => journal.remove(r.id));
+  }
+
+  return { seen, remember, sweep };
+}
+
+/**
+ * Status change carried by a taskStatusUpdated delivery:
+ * { taskId, webhookId, historyId, from, to, at } (statuses lower-cased), or null for anything else
+ */
+function statusChange(payload) {
+  if (payload?.event !== 'taskStatusUpdated' || !payload.task_id) return null;
+  const item = (payload.history_items || []).find(h => h.field === 'status');
+  if (!item?.id || !item.after?.status) return null;
+  return {
+    taskId: String(payload.task_id),
+    webhookId: payload.webhook_id || null,
+    historyId: String(item.id),
+    from: norm(item.before?.status) || null,
+    to: norm(item.after.status),
+    at: item.date ? new Date(Number(item.date)).toISOString() : new Date().toISOString()
+  };
+}
+
+function loadWorkflow(file = process.env.WORKFLOW_FILE || path.join(__dirname, 'workflow.json')) {
+  const cfg = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const transitions = (cfg.transitions || []).map((t, i) => {
+    if (!t.to) throw new Error(`workflow.json: transitions[${i}] needs a "to" status`);
+    if (!t.link && !t.comment && !t.email) throw new Error(`workflow.json: transitions[${i}] has no actions (link, comment, email)`);
+    return { ...t, to: norm(t.to), from: t.from ? [].concat(t.from).map(norm) : null };
+  });
+  return {
+    linkTtlHours: Number(cfg.linkTtlHours || 168),
+    transitions,
+    /** Transition for a status change, or null */
+    match: ({ from, to }) => transitions.find(t => t.to === to && (!t.from || t.from.includes(from))) || null
+  };
+}
+
+module.exports = { verifyWebhookSignature, createWebhookRegistry, createDeliveryLog, statusChange, loadWorkflow };
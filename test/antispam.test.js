@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRateLimiter, botSignal } = require('../src/antispam');
+
+test('peek answers without spending the budget', () => {
+  const limit = createRateLimiter({ max: 2, windowMs: 60000 });
+  assert.equal(limit.peek('1.2.3.4').ok, true);
+  assert.equal(limit.peek('1.2.3.4').ok, true);
+  assert.equal(limit.hit('1.2.3.4').ok, true);
+  assert.equal(limit.hit('1.2.3.4').ok, true);
+  assert.equal(limit.peek('1.2.3.4').ok, false);
+  assert.equal(limit.hit('1.2.3.4').ok, false);
+  assert.equal(limit.peek('5.6.7.8').ok, true);
+});
+
+test('a limit of 0 is off', () => {
+  const limit = createRateLimiter({ max: 0 });
+  for (let i = 0; i < 5; i++) assert.equal(limit.hit('1.2.3.4').ok, true);
+});
+
+test('honeypot and fill-time bot signals', () => {
+  const now = Date.now();
+  assert.equal(botSignal({ website: 'http://spam.example' }, now), 'honeypot');
+  assert.equal(botSignal({ formStartedAt: String(now - 1000) }, now), 'too_fast');
+  assert.equal(botSignal({ formStartedAt: String(now - 60000) }, now), null);
+  assert.equal(botSignal({}, now), null);
+});
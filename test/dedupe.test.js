@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dtca-test-'));
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const { createIdempotencyStore, requestFingerprint, normalizeEmail } = require('../src/dedupe');
+
+const answers = { fullName: 'Jane Roe', location: 'Texas', video: 1048576 };
+
+test('a remembered Idempotency-Key replays its submission and fingerprint', () => {
+  const store = createIdempotencyStore();
+  const fingerprint = requestFingerprint({ scope: 'dtca', email: 'jane@example.com', payload: answers });
+  store.remember('key-1', 'sub-1', { scope: 'dtca', fingerprint });
+  assert.deepEqual(store.lookup('key-1', 'dtca'), { submissionId: 'sub-1', fingerprint });
+  assert.equal(store.lookup('key-2', 'dtca'), null);
+});
+
+test('keys are scoped per program', () => {
+  const store = createIdempotencyStore();
+  store.remember('shared-key', 'sub-a', { scope: 'ita' });
+  assert.equal(store.lookup('shared-key', 'dtca'), null);
+  assert.equal(store.lookup('shared-key'), null);
+  assert.equal(store.lookup('shared-key', 'ita').submissionId, 'sub-a');
+});
+
+test('the fingerprint ignores answer order and email case, not the answers', () => {
+  const base = requestFingerprint({ scope: 'dtca', email: 'Jane@Example.com', payload: answers });
+  const reordered = requestFingerprint({ scope: 'dtca', email: ' jane@example.com', payload: { video: 1048576, location: 'Texas', fullName: 'Jane Roe' } });
+  assert.equal(reordered, base);
+  assert.notEqual(requestFingerprint({ scope: 'dtca', email: 'other@example.com', payload: answers }), base);
+  assert.notEqual(requestFingerprint({ scope: 'dtca', email: 'jane@example.com', payload: { ...answers, location: 'Ohio' } }), base);
+  assert.notEqual(requestFingerprint({ scope: 'ita', email: 'jane@example.com', payload: answers }), base);
+});
+
+test('normalizeEmail drops +tags and case', () => {
+  assert.equal(normalizeEmail(' Jane+apply@Example.COM '), 'jane@example.com');
+  assert.equal(normalizeEmail('not-an-email'), null);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadScoringRules, scoreApplication } = require('../src/scoring');
+
+const rules = loadScoringRules(path.join(__dirname, '..', 'src', 'scoring.json'));
+
+const strong = {
+  workEligibility: 'US Citizen or Permanent Resident',
+  reliableComputer: 'Yes',
+  backgroundCheck: 'Yes',
+  classSchedule: 'Yes',
+  commitmentLevel: 'Yes',
+  hasExperience: 'Yes',
+  experienceDescription: 'x'.repeat(200),
+  certCompleted: 'Yes',
+  certificationsListed: 'CompTIA A+',
+  education: "Bachelor's degree"
+};
+
+test('a strong application is auto-qualified with every factor counted', () => {
+  const r = scoreApplication(rules, strong);
+  assert.equal(r.decision, 'auto_qualified');
+  assert.equal(r.score, r.maxScore);
+  assert.deepEqual(r.disqualifiers, []);
+});
+
+test('a disqualifier wins over the score', () => {
+  const r = scoreApplication(rules, { ...strong, backgroundCheck: 'No' });
+  assert.equal(r.decision, 'not_eligible');
+  assert.deepEqual(r.disqualifiers, ['Cannot pass a background check']);
+});
+
+test('negated answers do not earn points', () => {
+  for (const certCompleted of ['Not completed yet', 'Incomplete', 'No']) {
+    const r = scoreApplication(rules, { ...strong, certCompleted });
+    assert.ok(!r.reasons.includes('+15 Has completed certifications'), certCompleted);
+  }
+  for (const workEligibility of ['Not a US citizen or permanent resident', 'not a citizen']) {
+    const r = scoreApplication(rules, { ...strong, workEligibility });
+    assert.ok(!r.reasons.includes('+20 Eligible to work'), workEligibility);
+  }
+});
+
+test('"Not eligible" work eligibility disqualifies', () => {
+  const r = scoreApplication(rules, { ...strong, workEligibility: 'Not eligible (None of the above)' });
+  assert.equal(r.decision, 'not_eligible');
+});
+
+test('a rule whose examples disagree with its pattern fails at load', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'dtca-test-')), 'scoring.json');
+  fs.writeFileSync(file, JSON.stringify({
+    decisions: { auto_qualified: 'A', needs_review: 'R', not_eligible: 'N' },
+    factors: [{ field: 'certCompleted', matches: 'complete', points: 15, reason: 'Cert',
+      examples: { match: ['Completed'], noMatch: ['Incomplete'] } }]
+  }));
+  try {
+    assert.throws(() => loadScoringRules(file), /should not match example "Incomplete"/);
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
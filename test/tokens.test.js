@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mintToken, verifyToken, requireApplicantToken } = require('../src/tokens');
+
+const keys = [{ kid: 'k1', secret: 'test-secret' }];
+
+/** Run the middleware for a token on a route serving `program`; resolves to { status, code } or { next: req.applicant } */
+function runGuard(token, program, body = {}) {
+  process.env.APPLICANT_TOKEN_SECRET = 'test-secret';
+  const guard = requireApplicantToken({ fail: (_res, status, code) => ({ status, code }), program: () => program });
+  const req = { body, query: {}, get: h => (h === 'authorization' ? `Bearer ${token}` : undefined) };
+  return new Promise((resolve, reject) => {
+    Promise.resolve(guard(req, {}, e => (e ? reject(e) : resolve({ next: req.applicant })))).then(r => r && resolve(r), reject);
+  });
+}
+
+test('the program claim round-trips', () => {
+  const { token } = mintToken({ taskId: 't1', program: 'ita' }, { keys });
+  assert.equal(verifyToken(token, { keys }).program, 'ita');
+  const { token: dflt } = mintToken({ taskId: 't1' }, { keys });
+  assert.equal(verifyToken(dflt, { keys }).program, null);
+});
+
+test('a token only works on its own program routes', async () => {
+  const { token: ita } = mintToken({ taskId: 't1', program: 'ita' }, { keys });
+  const { token: dflt } = mintToken({ taskId: 't1' }, { keys });
+
+  assert.deepEqual(await runGuard(ita, 'ita'), { next: { taskId: 't1', customTaskId: null, submissionId: null } });
+  assert.deepEqual(await runGuard(ita, null), { status: 403, code: 'token_program_mismatch' });
+  assert.deepEqual(await runGuard(dflt, 'ita'), { status: 403, code: 'token_program_mismatch' });
+  assert.ok((await runGuard(dflt, null)).next);
+});
+
+test('a tampered program claim breaks the signature', () => {
+  const { token } = mintToken({ taskId: 't1', program: 'ita' }, { keys });
+  const [kid, , sig] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ t: 't1', p: 'dtca', exp: Math.floor(Date.now() / 1000) + 60 })).toString('base64url');
+  assert.throws(() => verifyToken(`${kid}.${forged}.${sig}`, { keys }), { code: 'invalid_token' });
+});
+
+test('a token naming another task is refused', async () => {
+  const { token } = mintToken({ taskId: 't1' }, { keys });
+  assert.deepEqual(await runGuard(token, null, { taskId: 't2' }), { status: 403, code: 'token_task_mismatch' });
+});
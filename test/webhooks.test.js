@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dtca-test-'));
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const { verifyWebhookSignature, createDeliveryLog, statusChange } = require('../src/webhooks');
+
+const secret = 'whsec';
+const body = Buffer.from(JSON.stringify({
+  event: 'taskStatusUpdated',
+  task_id: 'abc123',
+  webhook_id: 'wh-1',
+  history_items: [{ id: '9001', field: 'status', date: '1767225600000', before: { status: 'In Review' }, after: { status: 'Approved' } }]
+}));
+const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+test('the X-Signature HMAC of the raw body is verified', () => {
+  assert.equal(verifyWebhookSignature(body, signature, secret), true);
+  assert.equal(verifyWebhookSignature(body, signature.toUpperCase(), secret), true);
+  assert.equal(verifyWebhookSignature(body, signature, 'other-secret'), false);
+  assert.equal(verifyWebhookSignature(Buffer.from(`${body} `), signature, secret), false);
+  assert.equal(verifyWebhookSignature(body, signature.slice(0, 10), secret), false);
+  assert.equal(verifyWebhookSignature(body, undefined, secret), false);
+  assert.equal(verifyWebhookSignature(body, signature, null), false);
+});
+
+test('a status change is read from the history item', () => {
+  assert.deepEqual(statusChange(JSON.parse(body)), {
+    taskId: 'abc123',
+    webhookId: 'wh-1',
+    historyId: '9001',
+    from: 'in review',
+    to: 'approved',
+    at: '2026-01-01T00:00:00.000Z'
+  });
+  assert.equal(statusChange({ event: 'taskCreated', task_id: 'abc123' }), null);
+});
+
+test('a redelivered history item is seen once remembered', () => {
+  const log = createDeliveryLog();
+  const change = statusChange(JSON.parse(body));
+  const key = `${change.taskId}:${change.historyId}`;
+  assert.equal(log.seen(key), false);
+  log.remember(key, { taskId: 'abc123' });
+  assert.equal(log.seen(key), true);
+  assert.equal(log.seen('abc123:9002'), false);
+});